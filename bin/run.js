@@ -9,6 +9,15 @@
  *   npx at-integration-test                    # run all tests
  *   npx at-integration-test auth               # run auth.spec.js
  *   npx at-integration-test mongodb content    # run mongodb.spec.js and content.spec.js
+ *   npx at-integration-test --import-only      # run the import suite
+ *   npx at-integration-test --suite auth --suite plugins
+ *   npx at-integration-test --tag smoke        # run specs tagged "smoke" (incl. CUSTOM_DIR specs)
+ *   npx at-integration-test --exclude-tag slow
+ *   npx at-integration-test --isolate          # one process and fresh database per spec
+ *   npx at-integration-test --parallel 4       # four workers, each with its own database
+ *   npx at-integration-test --reporter junit --report-dir ./reports
+ *   npx at-integration-test --verify-fixtures  # check fixture files and checksums first
+ *   npx at-integration-test --strict-leaks     # fail specs which leave data in the database
  *   CUSTOM_DIR=/path/to/custom npx at-integration-test
  *
  * Environment variables:
@@ -16,12 +25,13 @@
  *                Custom fixtures override built-in fixtures when keys collide.
  */
 
-import { execSync } from 'child_process'
 import fs from 'fs'
-import os from 'os'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { dropTestDb } from '../lib/db.js'
+import { verifyFixtures } from '../lib/fixtures.js'
+import { formatLeaks } from '../lib/leaks.js'
+import { writeReports } from '../lib/reporter.js'
+import { filterSpecsByTags, formatSummary, getUsage, getWorkerConfig, parseRunnerArgs, resolveSpecFiles, runShard, shardSpecs } from '../lib/runner.js'
 
 const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
 const testsDir = path.join(ROOT, 'tests')
@@ -31,20 +41,17 @@ const customDir = process.env.CUSTOM_DIR
 
 // Collect test file paths
 const testFiles = []
-const args = process.argv.slice(2)
-
-if (args.length > 0) {
-  for (const name of args) {
-    const specFile = path.join(testsDir, `${name}.spec.js`)
-    if (!fs.existsSync(specFile)) {
-      console.error(`Test not found: ${name} (expected ${specFile})`)
-      process.exit(1)
-    }
-    testFiles.push(specFile)
+let args
+try {
+  args = parseRunnerArgs(process.argv.slice(2))
+  if (args.help) {
+    console.log(getUsage())
+    process.exit(0)
   }
-} else {
-  const files = fs.readdirSync(testsDir).filter(f => f.endsWith('.spec.js')).sort()
-  testFiles.push(...files.map(f => path.join(testsDir, f)))
+  testFiles.push(...filterSpecsByTags(resolveSpecFiles(testsDir, args), args))
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
 }
 
 // Add custom tests if CUSTOM_DIR is set
@@ -53,22 +60,15 @@ if (customDir) {
   const customTestsDir = path.join(customDir, 'tests')
   if (fs.existsSync(customTestsDir)) {
     const customFiles = fs.readdirSync(customTestsDir).filter(f => f.endsWith('.spec.js')).sort()
-    customTestFiles.push(...customFiles.map(f => path.join(customTestsDir, f)))
+    customTestFiles.push(...filterSpecsByTags(customFiles.map(f => path.join(customTestsDir, f)), args))
     testFiles.push(...customTestFiles)
   }
 }
 
-// Drop the test database to ensure a clean state before the app boots.
-// Stale records (e.g. contentplugins from a previous run) can cause
-// initPlugins to look for plugin files that no longer exist.
-await dropTestDb()
-
-// Generate a single entry file that imports all specs so the app boots once
-const imports = testFiles.map(f => `import '${f}'`).join('\n')
-const entryFile = path.join(os.tmpdir(), `aat-test-entry-${Date.now()}.js`)
-fs.writeFileSync(entryFile, imports + '\n')
-
-const cmd = `node --test --test-force-exit '${entryFile}'`
+if (!testFiles.length) {
+  console.error('No tests match the given selection')
+  process.exit(1)
+}
 
 console.log(`Tests:\n${testFiles.map(f => `  ${path.basename(f)}`).join('\n')}`)
 if (customTestFiles.length) {
@@ -76,8 +76,62 @@ if (customTestFiles.length) {
 }
 console.log()
 
-try {
-  execSync(cmd, { stdio: 'inherit', env: process.env })
-} finally {
-  try { fs.unlinkSync(entryFile) } catch {}
+if (args.verifyFixtures) {
+  let result
+  try {
+    result = await verifyFixtures()
+  } catch (e) {
+    console.error(e.message)
+    process.exit(1)
+  }
+  if (result.problems.length) {
+    console.error(`Fixture verification failed:\n${result.problems.map(p => {
+      return `  ${p.key}: ${p.reason} (${p.path})${p.expected ? `\n    expected ${p.expected}\n    actual   ${p.actual}` : ''}`
+    }).join('\n')}`)
+    process.exit(1)
+  }
+  console.log(`Verified ${result.checked.length} fixture(s)\n`)
+}
+
+const report = args.reporters.length > 0
+const leakOptions = { detectLeaks: args.detectLeaks, strictLeaks: args.strictLeaks }
+let results
+if (args.parallel > 1) {
+  // Each worker runs a shard of the specs against its own database and server port
+  let shards
+  try {
+    shards = await Promise.all(shardSpecs(testFiles, args.parallel).map(async (files, i) => {
+      return { files, ...await getWorkerConfig(i + 1), prefix: `[w${i + 1}] ` }
+    }))
+  } catch (e) {
+    console.error(e.message)
+    process.exit(1)
+  }
+  for (const { files, uri, prefix } of shards) {
+    console.log(`${prefix}${uri}: ${files.map(f => path.basename(f)).join(', ')}`)
+  }
+  results = (await Promise.all(shards.map(s => runShard(s.files, { ...s, isolate: args.isolate, report, ...leakOptions })))).flat()
+  console.log(`\n${formatSummary(results)}`)
+} else if (args.isolate) {
+  // Run each spec in its own process against a freshly dropped database, so
+  // suites that mutate global state can't leak into later suites
+  results = await runShard(testFiles, { isolate: true, report, ...leakOptions })
+  console.log(`\n${formatSummary(results)}`)
+} else {
+  // Run every spec in one process, so the app only boots once. runShard() drops
+  // the test database first, as stale records (e.g. contentplugins from a previous
+  // run) can cause initPlugins to look for plugin files that no longer exist.
+  results = await runShard(testFiles, { report, ...leakOptions })
+}
+process.exitCode = results.some(r => r.code !== 0) ? 1 : 0
+
+if (args.detectLeaks) {
+  const leaks = results.flatMap(r => r.leaks)
+  console.log(`\n${leaks.length ? formatLeaks(leaks) : 'No leaked data'}`)
+}
+
+if (report) {
+  const tests = results.flatMap(r => r.tests).map(t => ({ ...t, custom: customTestFiles.includes(t.file) }))
+  const written = await writeReports(tests, { dir: args.reportDir, reporters: args.reporters })
+  console.log(`\nReports:\n${written.map(f => `  ${f}`).join('\n')}`)
 }
@@ -0,0 +1,17 @@
+import components from 'core/js/components'
+import ComponentModel from 'core/js/models/componentModel'
+import ComponentView from 'core/js/views/componentView'
+
+class TestComponentView extends ComponentView {
+  postRender () {
+    this.setReadyStatus()
+    this.setCompletionStatus()
+  }
+}
+
+TestComponentView.template = 'testComponent'
+
+export default components.register('testComponent', {
+  model: ComponentModel,
+  view: TestComponentView
+})
@@ -0,0 +1,5 @@
+import Adapt from 'core/js/adapt'
+
+Adapt.once('app:dataReady', () => {
+  Adapt.trigger('testExtension:ready')
+})
@@ -1,19 +1,51 @@
 import { App } from 'adapt-authoring-core'
 
 let app
+const snapshots = new Map()
+
+/**
+ * Name of the snapshot taken as soon as the app has booted
+ * @type {string}
+ */
+export const BOOT_SNAPSHOT = 'boot'
+
+/**
+ * Default collections captured by snapshotDb(). These are populated when the app boots,
+ * so can't be rebuilt by just emptying them. Only documents are captured: state the app
+ * derives from them and files on disk aren't. Schemas aren't included, as the jsonschema
+ * module keeps them in memory rather than in a collection.
+ * @type {string[]}
+ */
+export const DEFAULT_SNAPSHOT_COLLECTIONS = ['roles', 'contentplugins']
 
 /**
  * Boots the Adapt authoring app and returns the App instance.
  * Caches the instance so subsequent calls return the same app.
+ * A {@link BOOT_SNAPSHOT} of the database is taken once the app is ready.
  * @returns {Promise<App>}
  */
 export async function getApp () {
-  if (app) return app
-  process.env.NODE_ENV = process.env.NODE_ENV || 'testing'
-  app = await App.instance.onReady()
+  // cache the promise rather than the instance, so callers arriving mid-boot wait for the snapshot too
+  app ??= bootApp().catch(e => {
+    app = undefined
+    throw e
+  })
   return app
 }
 
+/**
+ * Waits for the app to be ready and takes the {@link BOOT_SNAPSHOT}.
+ * @returns {Promise<App>}
+ */
+async function bootApp () {
+  process.env.NODE_ENV = process.env.NODE_ENV || 'testing'
+  const instance = await App.instance.onReady()
+  // getModule() would wait on the boot in progress, so go to the instance directly
+  const mongodb = await instance.waitForModule('mongodb')
+  snapshots.set(BOOT_SNAPSHOT, await readCollections(mongodb, DEFAULT_SNAPSHOT_COLLECTIONS))
+  return instance
+}
+
 /**
  * Waits for a named module to be ready and returns it.
  * @param {string} name - Module name (e.g. 'adaptframework', 'content')
@@ -47,3 +79,53 @@ export async function cleanDb (collections = DEFAULT_CLEAN_COLLECTIONS) {
     }
   }
 }
+
+/**
+ * Captures every document in a set of collections, so they can be put back later with
+ * restoreDb(). Snapshots are held in memory, so only last as long as the test process.
+ * Taking a snapshot with an existing name replaces it.
+ * @param {string} name - Name to store the snapshot under
+ * @param {string[]} collections - Collection names to capture
+ */
+export async function snapshotDb (name, collections = DEFAULT_SNAPSHOT_COLLECTIONS) {
+  snapshots.set(name, await readCollections(await getModule('mongodb'), collections))
+}
+
+/**
+ * Reads every document in a set of collections.
+ * @param {Object} mongodb - The mongodb module
+ * @param {string[]} collections - Collection names to read
+ * @returns {Promise<Object<string, Object[]>>} Documents keyed by collection name
+ */
+async function readCollections (mongodb, collections) {
+  const docs = {}
+  for (const c of collections) {
+    docs[c] = await mongodb.getCollection(c).find({}).toArray()
+  }
+  return docs
+}
+
+/**
+ * Restores the collections in a snapshot to exactly the documents they held when it was
+ * taken, removing anything added since. Collections not in the snapshot aren't touched, and
+ * nothing outside the database is rolled back, so restored plugin records won't match the
+ * framework on disk if plugins have been installed or removed since (use
+ * `contentplugin.syncPluginData()` to rebuild them).
+ * @param {string} name - Name of the snapshot (defaults to the post-boot snapshot)
+ * @param {string[]} [collections] - Only restore these collections from the snapshot (defaults to all of them)
+ * @throws {Error} If no snapshot has been taken with the name, or it doesn't hold one of the collections
+ */
+export async function restoreDb (name = BOOT_SNAPSHOT, collections) {
+  const snapshot = snapshots.get(name)
+  if (!snapshot) throw new Error(`No database snapshot named "${name}"`)
+  collections ??= Object.keys(snapshot)
+  const missing = collections.filter(c => !Object.hasOwn(snapshot, c))
+  if (missing.length) throw new Error(`Database snapshot "${name}" doesn't include ${missing.join(', ')}`)
+  const mongodb = await getModule('mongodb')
+  for (const c of collections) {
+    const docs = snapshot[c]
+    const collection = mongodb.getCollection(c)
+    await collection.deleteMany({})
+    if (docs.length) await collection.insertMany(docs.map(d => ({ ...d })))
+  }
+}
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict'
+import { inspect } from 'util'
+
+/**
+ * Returns the error codes an error could be identified by. AdaptErrors carry their code
+ * in `code`, but depending on how they've been wrapped or serialised it may instead be
+ * in `id` or `data.code`.
+ * @param {*} err
+ * @returns {string[]}
+ */
+export function getErrorCodes (err) {
+  return [err?.code, err?.id, err?.data?.code].filter(c => typeof c === 'string')
+}
+
+/**
+ * Checks whether an error carries a code (see {@link getErrorCodes}). The message isn't
+ * checked, as one code can contain another (e.g. FW_IMPORT_INVALID and FW_IMPORT_INVALID_COURSE).
+ * @param {*} err
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function errorHasCode (err, code) {
+  return getErrorCodes(err).includes(code)
+}
+
+/**
+ * Asserts that a function (or promise) rejects with an error matching one of the given
+ * codes, and optionally a status code and `data` fields. On a mismatch the assertion
+ * error shows a diff of the relevant error properties, followed by the thrown error.
+ * @param {Function|Promise} fn - Function returning a promise, or a promise
+ * @param {string|string[]} codeOrCodes - Accepted error code(s)
+ * @param {Object} [options]
+ * @param {Object} [options.data] - Expected `err.data` values (only the given keys are compared)
+ * @param {number} [options.statusCode] - Expected HTTP status code
+ * @returns {Promise<Error>} The thrown error, for further assertions
+ * @example
+ * await assertRejectsWithCode(() => authLocal.registerSuper(data), 'SUPER_USER_EXISTS')
+ * await assertRejectsWithCode(() => users.onRequest(req), ['UNAUTHENTICATED', 'UNAUTHORIZED'], { statusCode: 401 })
+ */
+export async function assertRejectsWithCode (fn, codeOrCodes, { data, statusCode } = {}) {
+  const codes = [codeOrCodes].flat()
+  let err
+  try {
+    await (typeof fn === 'function' ? fn() : fn)
+  } catch (e) {
+    err = e
+  }
+  if (!err) {
+    throw new assert.AssertionError({
+      message: `Expected rejection with ${codes.join(' or ')}, but no error was thrown`,
+      expected: codes,
+      operator: 'assertRejectsWithCode',
+      stackStartFn: assertRejectsWithCode
+    })
+  }
+  const matchedCode = codes.find(c => errorHasCode(err, c))
+  const actual = { code: matchedCode ?? getErrorCodes(err)[0] ?? err?.message }
+  const expected = { code: matchedCode ?? (codes.length === 1 ? codes[0] : `one of ${codes.join(', ')}`) }
+  if (statusCode !== undefined) {
+    actual.statusCode = err?.statusCode
+    expected.statusCode = statusCode
+  }
+  if (data !== undefined) {
+    actual.data = Object.fromEntries(Object.keys(data).map(k => [k, err?.data?.[k]]))
+    expected.data = data
+  }
+  try {
+    assert.deepStrictEqual(actual, expected)
+  } catch (e) {
+    throw new assert.AssertionError({
+      message: `${e.message}\n\nThrown error: ${inspect(err)}`,
+      actual: e.actual,
+      expected: e.expected,
+      operator: 'assertRejectsWithCode',
+      stackStartFn: assertRejectsWithCode
+    })
+  }
+  return err
+}
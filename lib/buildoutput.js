@@ -0,0 +1,114 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * Folders holding plugin source in a course export, each of which contains one folder per plugin
+ * @type {string[]}
+ */
+export const PLUGIN_DIRS = ['src/components', 'src/extensions', 'src/menu', 'src/theme']
+
+/**
+ * A structured view of a course build
+ * @typedef {Object} BuildView
+ * @property {string} location - Path to the build directory or zip
+ * @property {string[]} files - Every file in the build, relative to its root
+ * @property {string} courseDir - Folder holding the course JSON (`course` for preview and publish builds, `src/course` for exports)
+ * @property {Object} config - Parsed `config.json`
+ * @property {Object<string, Object<string, Object|Array>>} languages - Parsed JSON by language then file name without `.json` (e.g. `languages.en.components`)
+ * @property {Array<{ name: string, version: string }>} plugins - Bundled plugins, sorted by name
+ * @property {Object<string, string[]>} assets - Asset files by language, relative to the language's assets folder
+ * @property {boolean} hasAdaptJs - Whether `adapt/js/adapt.min.js` exists
+ * @property {boolean} hasCss - Whether `adapt.css` exists
+ */
+
+/**
+ * Lists the files in a directory or zip, and returns a function to read them.
+ * @param {string} location - Path to a directory or zip file
+ * @returns {Promise<{ files: string[], read: function(string): Promise<Buffer> }>}
+ */
+async function openBuild (location) {
+  if ((await fs.stat(location)).isDirectory()) {
+    const entries = await fs.readdir(location, { recursive: true, withFileTypes: true })
+    const files = entries.filter(e => e.isFile()).map(e => path.relative(location, path.join(e.parentPath ?? e.path, e.name)).split(path.sep).join('/'))
+    return { files, read: f => fs.readFile(path.join(location, f)) }
+  }
+  const { default: JSZip } = await import('jszip')
+  const zip = await JSZip.loadAsync(await fs.readFile(location))
+  const files = Object.values(zip.files).filter(f => !f.dir).map(f => f.name)
+  return { files, read: f => zip.file(f).async('nodebuffer') }
+}
+
+/**
+ * Reads the plugins a build bundles. Exports include the plugins' source (and so their
+ * package.json or bower.json), while preview and publish builds list them in
+ * `adapt/js/build.min.js`.
+ * @param {string[]} files - Files relative to the build root
+ * @param {function(string): Promise<Object>} readJson
+ * @returns {Promise<Array<{ name: string, version: string }>>}
+ */
+async function getPlugins (files, readJson) {
+  const manifests = new Map()
+  for (const f of files) {
+    const [, plugin, file] = f.match(new RegExp(`^(?:${PLUGIN_DIRS.join('|')})/([^/]+)/(package|bower)\\.json$`)) ?? []
+    if (plugin && (file === 'package' || !manifests.has(plugin))) manifests.set(plugin, f)
+  }
+  const plugins = await Promise.all([...manifests.values()].map(readJson))
+  if (!plugins.length && files.includes('adapt/js/build.min.js')) {
+    const build = await readJson('adapt/js/build.min.js')
+    plugins.push(...(build?.plugins ?? []))
+  }
+  return plugins
+    .map(({ name, version }) => ({ name, version }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * Opens a preview, publish or export build and returns a structured view of it. The build's
+ * root is wherever its `course/config.json` is, so zips with a top-level folder are handled.
+ * @param {string} location - Path to the build directory or zip (e.g. `buildData.location`)
+ * @returns {Promise<BuildView>}
+ * @throws {Error} If the build has no course config
+ * @example
+ * const build = await inspectBuild(buildResult.buildData.location)
+ * assert.equal(build.languages.en.components.length, 12)
+ */
+export async function inspectBuild (location) {
+  const { files: allFiles, read } = await openBuild(location)
+  const configFile = allFiles
+    .filter(f => /(^|\/)course\/config\.json$/.test(f) && !f.includes('node_modules/'))
+    .sort((a, b) => a.length - b.length)[0]
+  if (!configFile) throw new Error(`No course/config.json found in ${location}`)
+
+  const courseDir = /(^|\/)src\/course\/config\.json$/.test(configFile) ? 'src/course' : 'course'
+  const root = configFile.slice(0, -`${courseDir}/config.json`.length)
+  const files = allFiles.filter(f => f.startsWith(root)).map(f => f.slice(root.length))
+  const readJson = async f => {
+    const text = (await read(root + f)).toString()
+    try {
+      return JSON.parse(text)
+    } catch {
+      // e.g. build.min.js, which may wrap the JSON in a module definition
+      return JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1))
+    }
+  }
+  const languages = {}
+  const assets = {}
+  for (const f of files.filter(f => f.startsWith(`${courseDir}/`))) {
+    const relative = f.slice(courseDir.length + 1)
+    const [, lang, name] = relative.match(/^([^/]+)\/([^/]+)\.json$/) ?? []
+    if (lang) (languages[lang] ??= {})[name] = await readJson(f)
+    const [, assetLang, asset] = relative.match(/^([^/]+)\/assets\/(.+)$/) ?? []
+    if (assetLang) (assets[assetLang] ??= []).push(asset)
+  }
+  return {
+    location,
+    files,
+    courseDir,
+    config: await readJson(`${courseDir}/config.json`),
+    languages,
+    plugins: await getPlugins(files, readJson),
+    assets,
+    hasAdaptJs: files.includes('adapt/js/adapt.min.js'),
+    hasCss: files.includes('adapt.css')
+  }
+}
@@ -0,0 +1,174 @@
+import assert from 'node:assert/strict'
+import { getModule } from './app.js'
+
+/**
+ * Fields which are expected to differ between copies of a course
+ * @type {string[]}
+ */
+export const DEFAULT_IGNORE = ['_id', 'createdAt', 'updatedAt']
+
+/**
+ * A difference between two courses
+ * @typedef {Object} CourseDifference
+ * @property {string} item - Position of the item in the course (e.g. "course/page[1]/article[2]")
+ * @property {string} [field] - Dot-separated path of the differing field (omitted if the item only exists in one course)
+ * @property {*} a - Normalised value in the first course
+ * @property {*} b - Normalised value in the second course
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * Gives every item a key based on its position in the content tree, so that items can be
+ * matched between courses regardless of their _ids. Siblings are ordered by _sortOrder.
+ * @param {Array<Object>} items
+ * @returns {Map<string, string>} Keys by item _id
+ */
+function getTreeKeys (items) {
+  const keys = new Map()
+  const children = new Map()
+  for (const item of items) {
+    const id = item._id.toString()
+    if (item._type === 'course' || item._type === 'config') {
+      keys.set(id, item._type)
+      continue
+    }
+    const parentId = item._parentId?.toString()
+    if (!children.has(parentId)) children.set(parentId, [])
+    children.get(parentId).push(item)
+  }
+  const visit = (parentId, parentKey) => {
+    const siblings = (children.get(parentId) ?? []).sort((a, b) => (a._sortOrder ?? 0) - (b._sortOrder ?? 0))
+    children.delete(parentId)
+    siblings.forEach((item, i) => {
+      const key = `${parentKey}/${item._type}[${i + 1}]`
+      keys.set(item._id.toString(), key)
+      visit(item._id.toString(), key)
+    })
+  }
+  const course = items.find(i => i._type === 'course')
+  if (course) visit(course._id.toString(), 'course')
+  // anything left over isn't reachable from the course
+  for (const [parentId, orphans] of children) {
+    orphans.forEach((item, i) => keys.set(item._id.toString(), `(orphan of ${parentId})/${item._type}[${i + 1}]`))
+  }
+  return keys
+}
+
+/**
+ * Converts a value into plain JSON types, replacing references to known _ids (as ObjectIds
+ * or strings) with a stable equivalent.
+ * @param {*} value
+ * @param {Map<string, string>} ids - Replacements by _id
+ * @returns {*}
+ */
+function normalise (value, ids) {
+  if (value === null || value === undefined) return value
+  if (value instanceof Date) return value.toISOString()
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') value = value.toString()
+  if (typeof value === 'string') return ids.get(value) ?? value
+  if (Array.isArray(value)) return value.map(v => normalise(v, ids))
+  if (typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, normalise(v, ids)]))
+  return value
+}
+
+/**
+ * Checks whether a field is covered by an ignore entry. Strings match the field and anything
+ * nested inside it, RegExps are tested against the full field path.
+ * @param {string} field
+ * @param {Array<string|RegExp>} ignore
+ * @returns {boolean}
+ */
+function isIgnored (field, ignore) {
+  return ignore.some(i => i instanceof RegExp ? i.test(field) : field === i || field.startsWith(`${i}.`))
+}
+
+/**
+ * Recursively lists the fields which differ between two normalised values.
+ * @param {*} a
+ * @param {*} b
+ * @param {string} field - Path of the values being compared
+ * @param {Array<string|RegExp>} ignore
+ * @param {Array<Object>} diffs - Differences are added to this
+ */
+function diffValues (a, b, field, ignore, diffs) {
+  if (field && isIgnored(field, ignore)) return
+  const isObject = v => v !== null && typeof v === 'object'
+  if (isObject(a) && isObject(b) && Array.isArray(a) === Array.isArray(b)) {
+    const keys = Array.isArray(a)
+      ? Array.from({ length: Math.max(a.length, b.length) }, (_, i) => String(i))
+      : [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    for (const k of keys) diffValues(a[k], b[k], field ? `${field}.${k}` : k, ignore, diffs)
+    return
+  }
+  if (a !== b) diffs.push({ field, a, b })
+}
+
+/**
+ * Structurally compares the content of two courses. Items are matched by their position in
+ * the content tree, and references to other items, assets and tags are replaced with
+ * something that doesn't depend on _ids before comparing. This doesn't touch the database.
+ * @param {Array<Object>} itemsA - Content of the first course
+ * @param {Array<Object>} itemsB - Content of the second course
+ * @param {Object} [options]
+ * @param {Array<string|RegExp>} [options.ignore] - Fields to skip, in addition to {@link DEFAULT_IGNORE}
+ * @param {Map<string, string>} [options.ids] - Extra replacements by _id (e.g. for assets and tags)
+ * @returns {CourseDifference[]}
+ */
+export function diffCourseItems (itemsA, itemsB, { ignore = [], ids = new Map() } = {}) {
+  ignore = [...DEFAULT_IGNORE, ...ignore]
+  const index = items => {
+    const keys = getTreeKeys(items)
+    const refs = new Map([...ids, ...[...keys].map(([id, key]) => [id, `<${key}>`])])
+    return new Map(items.map(item => [keys.get(item._id.toString()), normalise(item, refs)]))
+  }
+  const a = index(itemsA)
+  const b = index(itemsB)
+  const differences = []
+  for (const item of new Set([...a.keys(), ...b.keys()])) {
+    if (!a.has(item) || !b.has(item)) {
+      const [where, value] = a.has(item) ? ['first', a.get(item)] : ['second', b.get(item)]
+      differences.push({ item, a: a.get(item), b: b.get(item), message: `${item}: ${value._type} only exists in the ${where} course` })
+      continue
+    }
+    const diffs = []
+    diffValues(a.get(item), b.get(item), '', ignore, diffs)
+    for (const { field, a, b } of diffs) {
+      differences.push({ item, field, a, b, message: `${item}.${field}: ${JSON.stringify(a)} !== ${JSON.stringify(b)}` })
+    }
+  }
+  return differences
+}
+
+/**
+ * Loads two courses from the database and compares them with {@link diffCourseItems}. Asset
+ * references are compared by the asset's hash and tag references by the tag's title, so
+ * courses which use different copies of the same asset or tag are considered equal.
+ * @param {string} courseIdA - _id of the first course
+ * @param {string} courseIdB - _id of the second course
+ * @param {Object} [options]
+ * @param {Array<string|RegExp>} [options.ignore] - Fields to skip, in addition to {@link DEFAULT_IGNORE}
+ * @returns {Promise<CourseDifference[]>} Every difference found (empty if the courses match)
+ */
+export async function compareCourses (courseIdA, courseIdB, { ignore } = {}) {
+  const content = await getModule('content')
+  const [itemsA, itemsB] = await Promise.all([courseIdA, courseIdB].map(id => content.find({ _courseId: id.toString() }, { validate: false })))
+  const assets = await (await getModule('assets')).find({}, { validate: false })
+  const tags = await (await getModule('tags')).find({}, { validate: false })
+  const ids = new Map([
+    ...assets.map(a => [a._id.toString(), `<asset ${a.hash ?? a.title}>`]),
+    ...tags.map(t => [t._id.toString(), `<tag ${t.title}>`])
+  ])
+  return diffCourseItems(itemsA, itemsB, { ignore, ids })
+}
+
+/**
+ * Asserts that two courses have the same content, listing every difference if they don't.
+ * @param {string} courseIdA - _id of the first course
+ * @param {string} courseIdB - _id of the second course
+ * @param {Object} [options] - See {@link compareCourses}
+ * @returns {Promise<void>}
+ */
+export async function assertCoursesMatch (courseIdA, courseIdB, options) {
+  const differences = await compareCourses(courseIdA, courseIdB, options)
+  assert.deepEqual(differences, [], `courses "${courseIdA}" and "${courseIdB}" differ:\n${differences.map(d => `- ${d.message}`).join('\n')}`)
+}
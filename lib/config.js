@@ -0,0 +1,34 @@
+import path from 'path'
+import { pathToFileURL } from 'url'
+
+/**
+ * Returns the environment variable name the app reads a config value from
+ * (e.g. ADAPT_AUTHORING_MONGODB__connectionUri).
+ * @param {string} moduleName - Module name (e.g. 'adapt-authoring-mongodb')
+ * @param {string} key - Config key (e.g. 'connectionUri')
+ * @returns {string}
+ */
+export function getConfigEnvName (moduleName, key) {
+  return `${moduleName.replace(/-/g, '_').toUpperCase()}__${key}`
+}
+
+/**
+ * Reads a value from the app's config file for the current NODE_ENV, without booting the app.
+ * @param {string} moduleName - Module name (e.g. 'adapt-authoring-mongodb')
+ * @param {string} key - Config key (e.g. 'connectionUri')
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Working directory to resolve config from
+ * @param {boolean} [options.env=false] - Whether a matching environment variable takes priority over the config file
+ * @returns {Promise<*>} The value, or undefined if it isn't set or the config can't be read
+ */
+export async function getConfigValue (moduleName, key, { cwd = process.cwd(), env = false } = {}) {
+  const envValue = env ? process.env[getConfigEnvName(moduleName, key)] : undefined
+  if (envValue !== undefined) return envValue
+  try {
+    const configPath = path.resolve(cwd, 'conf', `${process.env.NODE_ENV || 'testing'}.config.js`)
+    const config = (await import(pathToFileURL(configPath).href)).default
+    return config[moduleName]?.[key]
+  } catch {
+    return undefined
+  }
+}
@@ -0,0 +1,151 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+/**
+ * Framework version written to generated exports when none is given
+ * @type {string}
+ */
+export const DEFAULT_FRAMEWORK_VERSION = '5.32.2'
+
+/**
+ * A 1x1 transparent PNG, useful as a valid image asset
+ * @type {Buffer}
+ */
+export const TINY_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64')
+
+/**
+ * Description of a course export. Content is described as a tree; _ids, _parentIds and
+ * _trackingIds are filled in automatically, and any other properties are written to the JSON
+ * as given. No _sortOrder is written unless given, as the importer derives it from each
+ * item's position.
+ * @typedef {Object} CourseDescription
+ * @property {string} [frameworkVersion] - Written to package.json (default {@link DEFAULT_FRAMEWORK_VERSION})
+ * @property {string} [title] - Course title
+ * @property {Object} [course] - Extra course.json properties
+ * @property {Object} [config] - Extra config.json properties
+ * @property {string[]} [languages=['en']] - Languages to write the content for (the first is the default language)
+ * @property {Object[]} [contentObjects] - Pages and menus, each with optional `articles` (pages) or `contentObjects` (menus)
+ * @property {Object<string, string|Buffer>} [assets] - Asset files by filename, written to each language's assets folder
+ * @property {Object<string, Object>} [assetData] - Asset metadata (title, description, tags) by filename, written to assets.json
+ * @property {Object<string, string|Buffer|Object|null>} [files] - Extra files by relative path, applied last. Objects are
+ * written as JSON, and null removes a generated file (useful for building broken exports)
+ */
+
+/**
+ * Builds the files for an Adapt course export from a description.
+ * @param {CourseDescription} [description]
+ * @returns {Object<string, string|Buffer>} File contents by relative path
+ */
+export function buildCourseFiles (description = {}) {
+  const {
+    frameworkVersion = DEFAULT_FRAMEWORK_VERSION,
+    title = 'Generated Course',
+    languages = ['en'],
+    contentObjects = [],
+    assets = {},
+    assetData
+  } = description
+  const counters = {}
+  const nextId = prefix => `${prefix}-${(counters[prefix] = (counters[prefix] ?? 0) + 1)}`
+  const content = { contentObjects: [], articles: [], blocks: [], components: [] }
+  let trackingId = 0
+
+  const addChildren = (items, parentId, type) => {
+    for (const { contentObjects: childCOs, articles, blocks, components, ...data } of items ?? []) {
+      if (type === 'contentObjects') {
+        const item = { _id: nextId('co'), _parentId: parentId, _type: 'page', title: 'Page', ...data }
+        content.contentObjects.push(item)
+        if (item._type === 'menu') addChildren(childCOs, item._id, 'contentObjects')
+        else addChildren(articles, item._id, 'articles')
+      } else if (type === 'articles') {
+        const item = { _id: nextId('a'), _parentId: parentId, _type: 'article', title: 'Article', ...data }
+        content.articles.push(item)
+        addChildren(blocks, item._id, 'blocks')
+      } else if (type === 'blocks') {
+        const item = { _id: nextId('b'), _parentId: parentId, _type: 'block', title: 'Block', _trackingId: ++trackingId, ...data }
+        content.blocks.push(item)
+        addChildren(components, item._id, 'components')
+      } else {
+        const item = { _id: nextId('c'), _parentId: parentId, _type: 'component', _component: 'text', _layout: 'full', title: 'Component', body: '', ...data }
+        content.components.push(item)
+      }
+    }
+  }
+  addChildren(contentObjects, 'course', 'contentObjects')
+
+  const json = data => JSON.stringify(data, null, 2)
+  const files = {
+    'package.json': json({ name: 'adapt_framework', version: frameworkVersion }),
+    'src/course/config.json': json({ _id: 'config', _type: 'config', _defaultLanguage: languages[0], _enabledPlugins: [], ...description.config })
+  }
+  for (const lang of languages) {
+    const langDir = `src/course/${lang}`
+    files[`${langDir}/course.json`] = json({ _id: 'course', _type: 'course', title, _latestTrackingId: trackingId, ...description.course })
+    for (const [name, items] of Object.entries(content)) {
+      files[`${langDir}/${name}.json`] = json(items)
+    }
+    for (const [filename, data] of Object.entries(assets)) {
+      files[`${langDir}/assets/${filename}`] = data
+    }
+    if (assetData) files[`${langDir}/assets.json`] = json(assetData)
+  }
+  return applyFileOverrides(files, description.files)
+}
+
+/**
+ * Applies overrides to a file map. Strings and Buffers replace files, objects are written as
+ * JSON, and null removes a file.
+ * @param {Object<string, string|Buffer>} files - File contents by relative path, changed in place
+ * @param {Object<string, string|Buffer|Object|null>} [overrides] - By relative path
+ * @returns {Object<string, string|Buffer>} The file map
+ */
+export function applyFileOverrides (files, overrides = {}) {
+  for (const [filePath, data] of Object.entries(overrides)) {
+    if (data === null) delete files[filePath]
+    else files[filePath] = typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data, null, 2)
+  }
+  return files
+}
+
+/**
+ * Writes files to a new directory or zip file.
+ * @param {Object<string, string|Buffer>} files - File contents by relative path
+ * @param {Object} [options]
+ * @param {string} [options.dir=os.tmpdir()] - Directory to create the output in
+ * @param {boolean} [options.zip=false] - Whether to write a zip file rather than a directory
+ * @param {string} [options.zipName='course-export.zip'] - Filename of the zip file
+ * @returns {Promise<string>} Absolute path to the new directory or zip file
+ */
+export async function writeFiles (files, { dir = os.tmpdir(), zip = false, zipName = 'course-export.zip' } = {}) {
+  if (zip) {
+    const { default: JSZip } = await import('jszip')
+    const archive = new JSZip()
+    for (const [filePath, data] of Object.entries(files)) archive.file(filePath, data)
+    const zipPath = path.join(await fs.mkdtemp(path.join(dir, 'aat-export-')), zipName)
+    await fs.writeFile(zipPath, await archive.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }))
+    return zipPath
+  }
+  const outputDir = await fs.mkdtemp(path.join(dir, 'aat-export-'))
+  for (const [filePath, data] of Object.entries(files)) {
+    const fullPath = path.join(outputDir, filePath)
+    await fs.mkdir(path.dirname(fullPath), { recursive: true })
+    await fs.writeFile(fullPath, data)
+  }
+  return outputDir
+}
+
+/**
+ * Generates an Adapt course export which can be passed to `adaptframework.importCourse()`
+ * as `importPath`, without needing a downloaded fixture.
+ * @param {CourseDescription} [description]
+ * @param {Object} [options] - See {@link writeFiles}
+ * @returns {Promise<string>} Absolute path to the export directory or zip file
+ * @example
+ * const importPath = await createCourseExport({
+ *   contentObjects: [{ title: 'Page 1', articles: [{ blocks: [{ components: [{ body: 'Hello' }] }] }] }]
+ * }, { zip: true })
+ */
+export async function createCourseExport (description, options) {
+  return writeFiles(buildCourseFiles(description), options)
+}
@@ -1,5 +1,4 @@
-import path from 'path'
-import { pathToFileURL } from 'url'
+import { getConfigValue } from './config.js'
 
 /**
  * Drops the test database to ensure a clean state before the app boots.
@@ -8,13 +7,12 @@ import { pathToFileURL } from 'url'
  * initPlugins to look for plugin files that no longer exist.
  *
  * @param {string} [cwd=process.cwd()] - Working directory to resolve config from
+ * @param {string} [uri] - Connection URI of the database to drop (defaults to the configured connectionUri)
  * @returns {Promise<boolean>} true if the database was dropped, false otherwise
  */
-export async function dropTestDb (cwd = process.cwd()) {
+export async function dropTestDb (cwd = process.cwd(), uri) {
   try {
-    const configPath = path.resolve(cwd, 'conf', `${process.env.NODE_ENV || 'testing'}.config.js`)
-    const config = (await import(pathToFileURL(configPath).href)).default
-    const uri = config['adapt-authoring-mongodb']?.connectionUri
+    uri = uri ?? await getConfigValue('adapt-authoring-mongodb', 'connectionUri', { cwd })
     if (!uri) return false
     const { MongoClient } = await import('mongodb')
     const client = new MongoClient(uri)
@@ -27,3 +25,19 @@ export async function dropTestDb (cwd = process.cwd()) {
     return false
   }
 }
+
+/**
+ * Derives a worker-specific connection URI by suffixing the database name,
+ * e.g. mongodb://localhost/adapt-authoring-test -> mongodb://localhost/adapt-authoring-test-w1
+ * @param {string} uri - The configured connection URI
+ * @param {number} worker - Worker number (starting at 1)
+ * @returns {string}
+ * @throws {Error} If the URI can't be parsed
+ */
+export function getWorkerConnectionUri (uri, worker) {
+  const match = uri.match(/^(mongodb(?:\+srv)?:\/\/[^/?]+)\/?([^?]*)(\?.*)?$/)
+  if (!match) throw new Error(`Unable to parse connection URI: ${uri}`)
+  const [, base, dbName, query = ''] = match
+  // the driver falls back to the 'test' database when the URI doesn't name one
+  return `${base}/${dbName || 'test'}-w${worker}${query}`
+}
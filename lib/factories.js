@@ -0,0 +1,230 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { getModule } from './app.js'
+
+/**
+ * Password given to users created by {@link createUser} unless one is specified
+ * @type {string}
+ */
+export const DEFAULT_PASSWORD = 'Password123!'
+
+let count = 0
+
+/**
+ * Returns a value which is unique for this process, for use in titles, emails etc.
+ * @returns {string}
+ */
+export function uniqueId () {
+  return `${process.pid}-${Date.now().toString(36)}-${++count}`
+}
+
+/**
+ * Options accepted by the content factories
+ * @typedef {Object} FactoryOptions
+ * @property {boolean} [validate=false] - Whether to validate the data against its schema
+ * @property {Object} [insertOptions] - Extra options passed to the module's insert()
+ */
+
+/**
+ * Converts a document or _id to an _id string.
+ * @param {Object|string} docOrId
+ * @returns {string|undefined}
+ */
+function toId (docOrId) {
+  return (docOrId?._id ?? docOrId)?.toString()
+}
+
+/**
+ * Returns the _parentId, _courseId and createdBy a child item takes from its parent. A parent
+ * given as an _id is looked up first, as only the document says which course it's in.
+ * @param {Object|string} parent - The parent document (or its _id)
+ * @param {Object} [options]
+ * @param {function(string): Promise<Object>} [options.findById] - Looks up a content item by _id (defaults to the content module)
+ * @returns {Promise<{ _parentId: string, _courseId: string, createdBy?: string }>}
+ * @throws {Error} If the parent can't be found
+ */
+export async function getParentWiring (parent, { findById } = {}) {
+  if (!parent._type) {
+    findById ??= async _id => (await getModule('content')).findOne({ _id })
+    parent = await findById(toId(parent))
+  }
+  const wiring = { _parentId: toId(parent), _courseId: toId(parent._courseId ?? parent) }
+  if (parent.createdBy) wiring.createdBy = parent.createdBy.toString()
+  return wiring
+}
+
+/**
+ * Inserts a content item, wiring _parentId, _courseId and createdBy from the parent.
+ * @param {Object|string} [parent] - The parent document (or its _id)
+ * @param {Object} defaults - Default data for the item type
+ * @param {Object} data - Overrides
+ * @param {string} schemaName
+ * @param {FactoryOptions} options
+ * @returns {Promise<Object>}
+ */
+async function insertContent (parent, defaults, data, schemaName, { validate = false, insertOptions } = {}) {
+  const content = await getModule('content')
+  const wiring = parent ? await getParentWiring(parent) : {}
+  return content.insert({ ...defaults, ...wiring, ...data }, { validate, schemaName, ...insertOptions })
+}
+
+/**
+ * Creates a course.
+ * @param {Object} [data] - Overrides
+ * @param {FactoryOptions} [options]
+ * @returns {Promise<Object>} The course document
+ */
+export async function createCourse (data = {}, options) {
+  return insertContent(undefined, { _type: 'course', title: `Test Course ${uniqueId()}` }, data, 'course', options)
+}
+
+/**
+ * Creates a course config. Plugins in `_enabledPlugins` are stored as given.
+ * @param {Object|string} course - The course document (or its _id)
+ * @param {Object} [data] - Overrides
+ * @param {FactoryOptions} [options]
+ * @returns {Promise<Object>} The config document
+ */
+export async function createConfig (course, data = {}, { insertOptions, ...options } = {}) {
+  const defaults = { _type: 'config', _courseId: toId(course), _enabledPlugins: [], _menu: '', _theme: '' }
+  if (course?.createdBy) defaults.createdBy = course.createdBy.toString()
+  return insertContent(undefined, defaults, data, 'config', { ...options, insertOptions: { updateEnabledPlugins: false, ...insertOptions } })
+}
+
+/**
+ * Creates a menu.
+ * @param {Object|string} parent - The parent course or menu
+ * @param {Object} [data] - Overrides
+ * @param {FactoryOptions} [options]
+ * @returns {Promise<Object>} The menu document
+ */
+export async function createMenu (parent, data = {}, options) {
+  return insertContent(parent, { _type: 'menu', title: 'Menu' }, data, 'contentobject', options)
+}
+
+/**
+ * Creates a page.
+ * @param {Object|string} parent - The parent course or menu
+ * @param {Object} [data] - Overrides
+ * @param {FactoryOptions} [options]
+ * @returns {Promise<Object>} The page document
+ */
+export async function createPage (parent, data = {}, options) {
+  return insertContent(parent, { _type: 'page', title: 'Page' }, data, 'contentobject', options)
+}
+
+/**
+ * Creates an article.
+ * @param {Object|string} page - The parent page
+ * @param {Object} [data] - Overrides
+ * @param {FactoryOptions} [options]
+ * @returns {Promise<Object>} The article document
+ */
+export async function createArticle (page, data = {}, options) {
+  return insertContent(page, { _type: 'article', title: 'Article' }, data, 'article', options)
+}
+
+/**
+ * Creates a block.
+ * @param {Object|string} article - The parent article
+ * @param {Object} [data] - Overrides
+ * @param {FactoryOptions} [options]
+ * @returns {Promise<Object>} The block document
+ */
+export async function createBlock (article, data = {}, options) {
+  return insertContent(article, { _type: 'block', title: 'Block' }, data, 'block', options)
+}
+
+/**
+ * Creates a component (a text component unless `_component` is given).
+ * @param {Object|string} block - The parent block
+ * @param {Object} [data] - Overrides
+ * @param {FactoryOptions} [options]
+ * @returns {Promise<Object>} The component document
+ */
+export async function createComponent (block, data = {}, options) {
+  const defaults = { _type: 'component', _component: 'adapt-contrib-text', _layout: 'full', title: 'Component', body: '' }
+  return insertContent(block, defaults, data, 'component', options)
+}
+
+/**
+ * Creates a course with a config and a single page > article > block branch.
+ * @param {Object} [data]
+ * @param {Object} [data.course] - Course overrides
+ * @param {Object} [data.config] - Config overrides
+ * @param {string} [data.createdBy] - User _id to set on every item
+ * @param {boolean} [data.component=false] - Whether to add a component to the block
+ * @param {FactoryOptions} [options]
+ * @returns {Promise<{ course: Object, config: Object, page: Object, article: Object, block: Object, component?: Object, courseId: string }>}
+ */
+export async function createCourseHierarchy ({ course: courseData, config: configData, createdBy, component: withComponent = false } = {}, options) {
+  const course = await createCourse({ ...(createdBy && { createdBy }), ...courseData }, options)
+  const config = await createConfig(course, configData, options)
+  const page = await createPage(course, {}, options)
+  const article = await createArticle(page, {}, options)
+  const block = await createBlock(article, {}, options)
+  const hierarchy = { course, config, page, article, block, courseId: course._id.toString() }
+  if (withComponent) hierarchy.component = await createComponent(block, {}, options)
+  return hierarchy
+}
+
+/**
+ * Creates an asset from in-memory file data. Asset files are de-duplicated by hash, so
+ * by default a small text file with unique contents is used.
+ * @param {Object} [data] - Overrides
+ * @param {Object} [file]
+ * @param {string} [file.filename] - Original filename (its extension sets the asset type)
+ * @param {string|Buffer} [file.contents] - File contents
+ * @param {FactoryOptions} [options]
+ * @returns {Promise<Object>} The asset document
+ */
+export async function createAsset (data = {}, { filename, contents } = {}, { validate = false, insertOptions } = {}) {
+  const assets = await getModule('assets')
+  const id = uniqueId()
+  filename = filename ?? `asset-${id}.txt`
+  contents = contents ?? `Test asset ${id}`
+  // the source file is removed by the assets module once it has been stored
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aat-asset-'))
+  const filepath = path.join(dir, filename)
+  await fs.writeFile(filepath, contents)
+  try {
+    const file = { filepath, originalFilename: filename, size: Buffer.byteLength(contents) }
+    return await assets.insert({ title: `Asset ${id}`, ...data, file }, { validate, ...insertOptions })
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Creates a tag.
+ * @param {Object} [data] - Overrides
+ * @param {FactoryOptions} [options]
+ * @returns {Promise<Object>} The tag document
+ */
+export async function createTag (data = {}, { validate = false, insertOptions } = {}) {
+  const tags = await getModule('tags')
+  return tags.insert({ title: `tag-${uniqueId()}`, ...data }, { validate, ...insertOptions })
+}
+
+/**
+ * Registers a local user with the given roles.
+ * @param {Object} [data] - Overrides (e.g. email, firstName, password)
+ * @param {Object} [options]
+ * @param {string|string[]} [options.roles='contentcreator'] - Role short names
+ * @returns {Promise<Object>} The user document, with the plaintext `password` added
+ */
+export async function createUser (data = {}, { roles = 'contentcreator' } = {}) {
+  const authLocal = await getModule('auth-local')
+  const rolesModule = await getModule('roles')
+  const password = data.password ?? DEFAULT_PASSWORD
+  const user = await authLocal.register({
+    email: `user-${uniqueId()}@example.com`,
+    firstName: 'Test',
+    lastName: 'User',
+    roles: await rolesModule.shortNamesToIds([roles].flat()),
+    ...data,
+    password
+  })
+  return { ...user, password }
+}
@@ -1,3 +1,5 @@
+import { createHash } from 'crypto'
+import { createReadStream } from 'fs'
 import fs from 'fs/promises'
 import os from 'os'
 import path from 'path'
@@ -6,8 +8,46 @@ import { fileURLToPath } from 'url'
 const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures')
 
 let manifest
+let entries
 let resolvedDirs
 let tempDir
+const verified = new Set()
+
+/**
+ * A normalised fixture manifest entry.
+ * Manifest values can either be a filename string (`"course-export.zip"`) or an
+ * object with a `file` and any of the optional metadata below.
+ * @typedef {Object} FixtureInfo
+ * @property {string} key - Logical fixture name
+ * @property {string} file - Fixture filename, relative to its manifest
+ * @property {string} [description] - Human-readable description
+ * @property {string} [frameworkVersion] - Version of the framework the fixture was exported from
+ * @property {string} [sha256] - Expected SHA-256 checksum of the file (hex)
+ * @property {Object<string, number>} expects - Expected content counts by _type (e.g. { page: 5, component: 23 })
+ * @property {string[]} tags - Arbitrary tags
+ */
+
+/**
+ * Normalises a manifest value into a FixtureInfo.
+ * @param {string} key - Logical fixture name
+ * @param {string|Object} value - Manifest value
+ * @param {string} dir - Directory containing the manifest (for error messages)
+ * @returns {FixtureInfo}
+ * @throws {Error} If the entry is malformed
+ */
+function normaliseEntry (key, value, dir) {
+  const invalid = reason => new Error(`Invalid fixture "${key}" in ${path.join(dir, 'manifest.json')}: ${reason}`)
+  if (typeof value === 'string') value = { file: value }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) throw invalid('expected a filename or an object')
+  if (typeof value.file !== 'string' || !value.file) throw invalid('"file" must be a non-empty string')
+  const { file, description, frameworkVersion, sha256, expects = {}, tags = [] } = value
+  if (sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(sha256)) throw invalid('"sha256" must be a 64-character hex string')
+  if (typeof expects !== 'object' || Array.isArray(expects) || Object.values(expects).some(n => !Number.isInteger(n) || n < 0)) {
+    throw invalid('"expects" must map content types to non-negative integers')
+  }
+  if (!Array.isArray(tags) || tags.some(t => typeof t !== 'string')) throw invalid('"tags" must be an array of strings')
+  return { key, file, description, frameworkVersion, sha256: sha256?.toLowerCase(), expects, tags }
+}
 
 /**
  * Returns the custom fixtures directory path (if CUSTOM_DIR is set).
@@ -35,7 +75,8 @@ async function readManifest (dir) {
  * Loads and caches the merged manifest from the built-in fixtures directory
  * and optional custom directory (CUSTOM_DIR/fixtures/).
  * Custom fixtures override built-in fixtures when keys collide.
- * @returns {Promise<Object>}
+ * @returns {Promise<Object>} Map of fixture keys to filenames
+ * @throws {Error} If no manifest exists or an entry is malformed
  */
 export async function getManifest () {
   if (manifest) return manifest
@@ -61,25 +102,50 @@ export async function getManifest () {
     throw new Error(msg)
   }
 
-  manifest = {}
-  resolvedDirs = {}
+  const m = {}
+  const e = {}
+  const dirs = {}
 
-  if (standard) {
-    for (const [key, file] of Object.entries(standard)) {
-      manifest[key] = file
-      resolvedDirs[key] = FIXTURES_DIR
-    }
-  }
-  if (custom) {
-    for (const [key, file] of Object.entries(custom)) {
-      manifest[key] = file
-      resolvedDirs[key] = customDir
+  for (const [dir, data] of [[FIXTURES_DIR, standard], [customDir, custom]]) {
+    if (!data) continue
+    for (const [key, value] of Object.entries(data)) {
+      e[key] = normaliseEntry(key, value, dir)
+      m[key] = e[key].file
+      dirs[key] = dir
     }
   }
+  manifest = m
+  entries = e
+  resolvedDirs = dirs
 
   return manifest
 }
 
+/**
+ * Returns the metadata for a fixture (see {@link FixtureInfo}).
+ * @param {string} key - Logical fixture name from manifest (e.g. "course-export")
+ * @returns {Promise<FixtureInfo>}
+ * @throws {Error} If the key is not found in the manifest
+ */
+export async function getFixtureInfo (key) {
+  const m = await getManifest()
+  if (!m[key]) {
+    throw new Error(`Fixture "${key}" not found in manifest. Available: ${Object.keys(m).join(', ')}`)
+  }
+  return entries[key]
+}
+
+/**
+ * Returns the metadata for every fixture in the manifest, optionally filtered by tag.
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Only return fixtures with this tag
+ * @returns {Promise<FixtureInfo[]>}
+ */
+export async function listFixtures ({ tag } = {}) {
+  await getManifest()
+  return Object.values(entries).filter(e => !tag || e.tags.includes(tag))
+}
+
 /**
  * Returns a temp directory for fixture copies, creating it on first call.
  * @returns {Promise<string>}
@@ -91,13 +157,60 @@ async function getTempDir () {
   return tempDir
 }
 
+/**
+ * Computes the SHA-256 checksum of a file.
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<string>} Hex-encoded checksum
+ */
+export async function hashFile (filePath) {
+  const hash = createHash('sha256')
+  for await (const chunk of createReadStream(filePath)) hash.update(chunk)
+  return hash.digest('hex')
+}
+
+/**
+ * Checks a single fixture file exists and matches its declared checksum.
+ * @param {string} key - Logical fixture name from manifest
+ * @returns {Promise<{ key: string, path: string, reason: string, expected?: string, actual?: string }|undefined>} The problem, if any
+ */
+async function checkFixture (key) {
+  const { file, sha256 } = entries[key]
+  const fixturePath = path.join(resolvedDirs[key], file)
+  try {
+    await fs.access(fixturePath)
+  } catch {
+    return { key, path: fixturePath, reason: 'missing' }
+  }
+  if (!sha256 || verified.has(key)) return
+  const actual = await hashFile(fixturePath)
+  if (actual !== sha256) return { key, path: fixturePath, reason: 'checksum mismatch', expected: sha256, actual }
+  verified.add(key)
+}
+
+/**
+ * Checks every fixture in the manifest up front, so that missing or corrupt
+ * downloads are reported together rather than failing mid-suite.
+ * @returns {Promise<{ checked: string[], problems: Array<{ key: string, path: string, reason: string, expected?: string, actual?: string }> }>}
+ * @throws {Error} If no manifest exists or an entry is malformed
+ */
+export async function verifyFixtures () {
+  const m = await getManifest()
+  const checked = Object.keys(m)
+  const problems = []
+  for (const key of checked) {
+    const problem = await checkFixture(key)
+    if (problem) problems.push(problem)
+  }
+  return { checked, problems }
+}
+
 /**
  * Resolves a fixture key to an absolute file path.
  * Copies the fixture to a temp directory so the original is preserved
  * (the import process may consume/delete the source file).
  * @param {string} key - Logical fixture name from manifest (e.g. "course-export")
  * @returns {Promise<string>} Absolute path to the copied fixture file
- * @throws {Error} If the key is not found in the manifest or the file doesn't exist
+ * @throws {Error} If the key is not found in the manifest, the file doesn't exist or its checksum doesn't match
  */
 export async function getFixture (key) {
   const m = await getManifest()
@@ -105,11 +218,13 @@ export async function getFixture (key) {
     throw new Error(`Fixture "${key}" not found in manifest. Available: ${Object.keys(m).join(', ')}`)
   }
   const fixturePath = path.join(resolvedDirs[key], m[key])
-  try {
-    await fs.access(fixturePath)
-  } catch {
+  const problem = await checkFixture(key)
+  if (problem?.reason === 'missing') {
     throw new Error(`Fixture file not found: ${fixturePath}`)
   }
+  if (problem) {
+    throw new Error(`Fixture "${key}" failed integrity check: expected sha256 ${problem.expected}, got ${problem.actual} (${fixturePath})`)
+  }
   const tmp = await getTempDir()
   const destPath = path.join(tmp, `${key}-${Date.now()}-${m[key]}`)
   await fs.copyFile(fixturePath, destPath)
@@ -121,7 +236,9 @@ export async function getFixture (key) {
  */
 export function resetManifest () {
   manifest = undefined
+  entries = undefined
   resolvedDirs = undefined
+  verified.clear()
 }
 
 /**
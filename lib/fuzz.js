@@ -0,0 +1,152 @@
+/**
+ * A generated request payload
+ * @typedef {Object} FuzzCase
+ * @property {string} name - Description of the case (e.g. "title: too long")
+ * @property {Object} payload - The request body
+ */
+
+/**
+ * Returns the properties of a schema which can be written by API requests (i.e. not
+ * read-only or internal).
+ * @param {Object} schema - A built JSON schema
+ * @returns {Object<string, Object>}
+ */
+export function getWritableProperties (schema) {
+  return Object.fromEntries(Object.entries(schema?.properties ?? {}).filter(([, p]) => !p.isReadOnly && !p.isInternal))
+}
+
+/**
+ * Returns the schema's primary type.
+ * @param {Object} prop
+ * @returns {string|undefined}
+ */
+function getType (prop) {
+  const type = [prop.type].flat().find(t => t !== 'null')
+  if (type) return type
+  if (prop.properties) return 'object'
+  if (prop.items) return 'array'
+}
+
+/**
+ * Checks whether a value's JSON type is allowed by a schema's `type` (which may list several).
+ * @param {Object} prop
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isAllowedType (prop, value) {
+  const allowed = [prop.type].flat()
+  if (Array.isArray(value)) return allowed.includes('array')
+  if (typeof value === 'number') return allowed.includes('number') || (Number.isInteger(value) && allowed.includes('integer'))
+  return allowed.includes(typeof value)
+}
+
+/**
+ * Generates a minimal valid value for a schema.
+ * @param {Object} prop
+ * @returns {*}
+ */
+export function generateValue (prop) {
+  if (prop.const !== undefined) return prop.const
+  if (prop.enum) return prop.enum[0]
+  if (prop.default !== undefined) return prop.default
+  switch (getType(prop)) {
+    case 'string': {
+      if (prop.isObjectId) return '000000000000000000000000'
+      if (prop.format === 'date-time') return new Date(0).toISOString()
+      if (prop.format === 'email') return 'fuzz@example.com'
+      if (prop.format === 'uri') return 'https://example.com'
+      const minLength = prop.minLength ?? 1
+      return 'fuzz'.padEnd(minLength, 'z').slice(0, prop.maxLength ?? Infinity)
+    }
+    case 'number':
+    case 'integer':
+      return prop.minimum ?? (prop.exclusiveMinimum !== undefined ? prop.exclusiveMinimum + 1 : 0)
+    case 'boolean':
+      return false
+    case 'array':
+      return Array.from({ length: prop.minItems ?? 0 }, () => generateValue(prop.items ?? {}))
+    case 'object':
+      return generateValid(prop)
+    default:
+      return null
+  }
+}
+
+/**
+ * Generates a valid payload containing the schema's required writable properties.
+ * @param {Object} schema - A built JSON schema
+ * @param {Object} [options]
+ * @param {Object} [options.values] - Values to use instead of generated ones (e.g. the _ids of real documents for ObjectId references, which are otherwise a dummy _id)
+ * @returns {Object}
+ */
+export function generateValid (schema, { values = {} } = {}) {
+  const props = getWritableProperties(schema)
+  return Object.fromEntries((schema.required ?? []).filter(k => props[k]).map(k => [k, Object.hasOwn(values, k) ? values[k] : generateValue(props[k])]))
+}
+
+/**
+ * Generates valid payloads which sit on the schema's limits (e.g. strings of exactly
+ * `maxLength`, numbers at `maximum`, the last `enum` value).
+ * @param {Object} schema - A built JSON schema
+ * @param {Object} [options]
+ * @param {Object} [options.values] - As for generateValid()
+ * @returns {FuzzCase[]}
+ */
+export function generateBoundary (schema, { values } = {}) {
+  const base = generateValid(schema, { values })
+  const cases = []
+  const add = (key, desc, value) => cases.push({ name: `${key}: ${desc}`, payload: { ...base, [key]: value } })
+  for (const [key, prop] of Object.entries(getWritableProperties(schema))) {
+    const type = getType(prop)
+    if (prop.enum?.length > 1) add(key, 'last enum value', prop.enum.at(-1))
+    else if (type === 'string' && !prop.format && !prop.pattern && !prop.isObjectId) {
+      if (prop.maxLength !== undefined) add(key, 'maxLength', 'x'.repeat(prop.maxLength))
+      if (prop.minLength !== undefined) add(key, 'minLength', 'x'.repeat(prop.minLength))
+      else if (!schema.required?.includes(key)) add(key, 'empty string', '')
+      if ((prop.maxLength ?? Infinity) >= 12) add(key, 'unicode', 'ünïcødé ✓ 🎉')
+    } else if (type === 'number' || type === 'integer') {
+      if (prop.minimum !== undefined) add(key, 'minimum', prop.minimum)
+      if (prop.maximum !== undefined) add(key, 'maximum', prop.maximum)
+    } else if (type === 'array' && prop.maxItems !== undefined) {
+      add(key, 'maxItems', Array.from({ length: prop.maxItems }, () => generateValue(prop.items ?? {})))
+    }
+  }
+  return cases
+}
+
+/**
+ * Generates invalid payloads: wrong types, values outside the schema's limits, unknown
+ * enum values and (unless `partial` is set, as for PATCH requests) missing required properties.
+ * Wrong-type values are chosen so that they can't be coerced to the right type.
+ * @param {Object} schema - A built JSON schema
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Whether required properties may be omitted
+ * @param {Object} [options.values] - As for generateValid()
+ * @returns {FuzzCase[]}
+ */
+export function generateInvalid (schema, { partial = false, values } = {}) {
+  const base = generateValid(schema, { values })
+  const cases = []
+  const add = (name, payload) => cases.push({ name, payload })
+  const wrongTypes = { string: {}, number: 'not-a-number', integer: 1.5, boolean: 'not-a-boolean', array: {}, object: 'not-an-object' }
+  const props = getWritableProperties(schema)
+
+  if (!partial) {
+    for (const key of (schema.required ?? []).filter(k => props[k])) {
+      const { [key]: omitted, ...payload } = base
+      add(`${key}: missing`, payload)
+    }
+  }
+  for (const [key, prop] of Object.entries(props)) {
+    const type = getType(prop)
+    const wrongValue = wrongTypes[type]
+    if (wrongValue !== undefined && !isAllowedType(prop, wrongValue)) add(`${key}: wrong type`, { ...base, [key]: wrongValue })
+    if (prop.enum) add(`${key}: not in enum`, { ...base, [key]: '__not-in-enum__' })
+    if (type === 'string' && prop.maxLength !== undefined) add(`${key}: too long`, { ...base, [key]: 'x'.repeat(prop.maxLength + 1) })
+    if (type === 'string' && prop.minLength > 0) add(`${key}: too short`, { ...base, [key]: 'x'.repeat(prop.minLength - 1) })
+    if ((type === 'number' || type === 'integer') && prop.minimum !== undefined) add(`${key}: below minimum`, { ...base, [key]: prop.minimum - 1 })
+    if ((type === 'number' || type === 'integer') && prop.maximum !== undefined) add(`${key}: above maximum`, { ...base, [key]: prop.maximum + 1 })
+  }
+  if (schema.additionalProperties === false) add('unknown property', { ...base, __fuzzUnknown: true })
+  return cases
+}
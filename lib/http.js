@@ -0,0 +1,229 @@
+import { getModule } from './app.js'
+
+/**
+ * Response returned by {@link HttpClient} requests
+ * @typedef {Object} HttpResponse
+ * @property {number} status - HTTP status code
+ * @property {boolean} ok - Whether the status is 2xx
+ * @property {Headers} headers - Response headers
+ * @property {*} body - Parsed JSON body, the raw text for non-JSON responses, or undefined if empty
+ */
+
+/**
+ * Returns the base URL of the running app's server (e.g. http://localhost:5678).
+ * @returns {Promise<string>}
+ */
+export async function getBaseUrl () {
+  const server = await getModule('server')
+  const url = server.url.startsWith('http') ? server.url : `http://${server.url}`
+  return url.replace(/\/$/, '')
+}
+
+/**
+ * HTTP client for calling the app's API as a particular user. Authentication is kept
+ * between requests, either as session cookies (see {@link HttpClient#login}) or as a
+ * bearer token (see {@link HttpClient#useToken}).
+ */
+export class HttpClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Base URL that request paths are resolved against
+   * @param {string} [options.token] - Bearer token to send with every request
+   */
+  constructor ({ baseUrl, token }) {
+    /**
+     * Base URL that request paths are resolved against
+     * @type {string}
+     */
+    this.baseUrl = baseUrl.replace(/\/$/, '')
+    /**
+     * Bearer token sent with every request
+     * @type {string|undefined}
+     */
+    this.token = token
+    /**
+     * Cookies set by the server, by name
+     * @type {Map<string, string>}
+     */
+    this.cookies = new Map()
+  }
+
+  /**
+   * Makes a request. JSON bodies are serialised, and responses aren't treated as errors
+   * whatever their status, so tests can assert on failures.
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path (e.g. /api/content)
+   * @param {Object} [options]
+   * @param {*} [options.body] - Request body (serialised as JSON unless it's a string, Buffer or FormData)
+   * @param {Object} [options.query] - Query parameters
+   * @param {Object} [options.headers] - Extra request headers
+   * @returns {Promise<HttpResponse>}
+   */
+  async request (method, path, { body, query, headers = {} } = {}) {
+    const url = new URL(`${this.baseUrl}${path}`)
+    for (const [key, value] of Object.entries(query ?? {})) {
+      url.searchParams.set(key, typeof value === 'string' ? value : JSON.stringify(value))
+    }
+    const reqHeaders = { ...headers }
+    if (this.token) reqHeaders.Authorization = `Bearer ${this.token}`
+    if (this.cookies.size) reqHeaders.Cookie = [...this.cookies].map(([k, v]) => `${k}=${v}`).join('; ')
+    const isRaw = body === undefined || typeof body === 'string' || Buffer.isBuffer(body) || body instanceof FormData
+    if (!isRaw) {
+      body = JSON.stringify(body)
+      reqHeaders['Content-Type'] = 'application/json'
+    }
+    const res = await fetch(url, { method, headers: reqHeaders, body, redirect: 'manual' })
+    this.storeCookies(res.headers)
+    return { status: res.status, ok: res.ok, headers: res.headers, body: await parseBody(res) }
+  }
+
+  /**
+   * Makes a GET request
+   * @param {string} path
+   * @param {Object} [options] See {@link HttpClient#request}
+   * @returns {Promise<HttpResponse>}
+   */
+  get (path, options) {
+    return this.request('GET', path, options)
+  }
+
+  /**
+   * Makes a POST request
+   * @param {string} path
+   * @param {*} [body]
+   * @param {Object} [options] See {@link HttpClient#request}
+   * @returns {Promise<HttpResponse>}
+   */
+  post (path, body, options) {
+    return this.request('POST', path, { ...options, body })
+  }
+
+  /**
+   * Makes a PUT request
+   * @param {string} path
+   * @param {*} [body]
+   * @param {Object} [options] See {@link HttpClient#request}
+   * @returns {Promise<HttpResponse>}
+   */
+  put (path, body, options) {
+    return this.request('PUT', path, { ...options, body })
+  }
+
+  /**
+   * Makes a PATCH request
+   * @param {string} path
+   * @param {*} [body]
+   * @param {Object} [options] See {@link HttpClient#request}
+   * @returns {Promise<HttpResponse>}
+   */
+  patch (path, body, options) {
+    return this.request('PATCH', path, { ...options, body })
+  }
+
+  /**
+   * Makes a DELETE request
+   * @param {string} path
+   * @param {Object} [options] See {@link HttpClient#request}
+   * @returns {Promise<HttpResponse>}
+   */
+  delete (path, options) {
+    return this.request('DELETE', path, options)
+  }
+
+  /**
+   * Logs in via the auth-local route, keeping the session cookie for later requests.
+   * @param {string} email
+   * @param {string} password
+   * @returns {Promise<HttpResponse>}
+   * @throws {Error} If the login fails
+   */
+  async login (email, password) {
+    const res = await this.post('/api/auth/local', { email, password })
+    if (!res.ok) {
+      throw new Error(`Login failed for ${email} (${res.status}): ${res.body?.message ?? JSON.stringify(res.body)}`)
+    }
+    return res
+  }
+
+  /**
+   * Generates an auth token for a user directly (skipping the login route), and sends
+   * it as a bearer token with later requests.
+   * @param {Object} user - The user document
+   * @returns {Promise<string>} The token
+   */
+  async useToken (user) {
+    const { AuthToken } = await import('adapt-authoring-auth')
+    this.token = await AuthToken.generate('local', user)
+    return this.token
+  }
+
+  /**
+   * Forgets any session cookies and token, so later requests are anonymous. The server
+   * isn't told, so the credentials stay valid (see {@link HttpClient#disavow}).
+   */
+  logout () {
+    this.token = undefined
+    this.cookies.clear()
+  }
+
+  /**
+   * Logs out on the server via the auth module's disavow route, which revokes the token
+   * the request was made with, then forgets the credentials as {@link HttpClient#logout} does.
+   * @returns {Promise<HttpResponse>}
+   */
+  async disavow () {
+    const res = await this.post('/api/auth/disavow')
+    this.logout()
+    return res
+  }
+
+  /**
+   * Stores any cookies set by a response.
+   * @param {Headers} headers
+   */
+  storeCookies (headers) {
+    for (const cookie of headers.getSetCookie()) {
+      const [pair, ...attributes] = cookie.split(';').map(s => s.trim())
+      const i = pair.indexOf('=')
+      const name = pair.slice(0, i)
+      const expired = attributes.some(a => /^max-age=(0|-)/i.test(a) || (/^expires=/i.test(a) && new Date(a.slice(8)) <= new Date()))
+      if (expired) this.cookies.delete(name)
+      else this.cookies.set(name, pair.slice(i + 1))
+    }
+  }
+}
+
+/**
+ * Parses a response body according to its content type.
+ * @param {Response} res
+ * @returns {Promise<*>}
+ */
+async function parseBody (res) {
+  const text = await res.text()
+  if (!text) return undefined
+  if (!res.headers.get('content-type')?.includes('json')) return text
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+/**
+ * Creates a client for the running app. Pass `user` (with its plaintext `password`, as
+ * returned by `createUser()` in lib/factories.js) to log in via the auth-local route, or
+ * `tokenFor` to authenticate with a generated token instead.
+ * @param {Object} [options]
+ * @param {Object} [options.user] - User to log in as (needs `email` and `password`)
+ * @param {Object} [options.tokenFor] - User to generate a bearer token for
+ * @returns {Promise<HttpClient>}
+ * @example
+ * const client = await createClient({ user: await createUser() })
+ * const { status, body } = await client.get('/api/content')
+ */
+export async function createClient ({ user, tokenFor } = {}) {
+  const client = new HttpClient({ baseUrl: await getBaseUrl() })
+  if (user) await client.login(user.email, user.password)
+  if (tokenFor) await client.useToken(tokenFor)
+  return client
+}
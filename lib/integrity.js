@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict'
+import { getModule } from './app.js'
+
+/**
+ * The content types each type may be a child of
+ * @type {Object<string, string[]>}
+ */
+export const LEGAL_PARENTS = {
+  menu: ['course', 'menu'],
+  page: ['course', 'menu'],
+  article: ['page'],
+  block: ['article'],
+  component: ['block']
+}
+
+/**
+ * A problem found in a course's content
+ * @typedef {Object} IntegrityProblem
+ * @property {string} type - The kind of problem (e.g. 'orphan', 'illegal-parent', 'sort-order')
+ * @property {string} [id] - _id of the offending item
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * Checks a course's content for structural problems. This doesn't touch the database, so
+ * can be used on any set of content items.
+ * @param {string} courseId - _id of the course
+ * @param {Array<Object>} items - The course's content, plus any items claiming to be children of it
+ * @param {Object} [options]
+ * @param {Set<string>} [options.assetIds] - _ids of existing assets (asset references aren't checked if omitted)
+ * @param {Set<string>} [options.pluginNames] - Names of installed plugins (_enabledPlugins isn't checked if omitted)
+ * @returns {IntegrityProblem[]}
+ */
+export function findIntegrityProblems (courseId, items, { assetIds, pluginNames } = {}) {
+  const problems = []
+  const add = (type, item, message) => problems.push({ type, id: item?._id?.toString(), message })
+  const label = item => `${item._type} "${item._id}"`
+  const byId = new Map(items.map(item => [item._id.toString(), item]))
+
+  const course = byId.get(courseId)
+  if (!course) add('missing-course', undefined, `course "${courseId}" doesn't exist`)
+  else if (course._type !== 'course') add('missing-course', course, `${label(course)} isn't a course`)
+
+  const configs = items.filter(i => i._type === 'config' && i._courseId?.toString() === courseId)
+  if (!configs.length) add('missing-config', undefined, `course "${courseId}" has no config`)
+  configs.slice(1).forEach(c => add('duplicate-config', c, `course "${courseId}" has more than one config`))
+
+  const siblings = new Map()
+  for (const item of items) {
+    if (item._courseId?.toString() !== courseId) {
+      add('wrong-course', item, `${label(item)} has _courseId "${item._courseId}", expected "${courseId}"`)
+    }
+    const legalParents = LEGAL_PARENTS[item._type]
+    if (legalParents) {
+      const parentId = item._parentId?.toString()
+      const parent = byId.get(parentId)
+      if (!parent) {
+        add('orphan', item, `${label(item)} has a missing parent "${parentId}"`)
+      } else if (!legalParents.includes(parent._type)) {
+        add('illegal-parent', item, `${label(item)} can't be a child of ${label(parent)}`)
+      } else {
+        if (!siblings.has(parentId)) siblings.set(parentId, [])
+        siblings.get(parentId).push(item)
+      }
+    }
+    for (const assetId of (assetIds && item._assetIds) || []) {
+      if (!assetIds.has(assetId.toString())) add('missing-asset', item, `${label(item)} references missing asset "${assetId}"`)
+    }
+    if (item._type === 'config' && pluginNames) {
+      for (const name of item._enabledPlugins ?? []) {
+        if (!pluginNames.has(name)) add('missing-plugin', item, `${label(item)} enables plugin "${name}", which isn't installed`)
+      }
+    }
+  }
+  for (const [parentId, children] of siblings) {
+    const sortOrders = children.map(c => c._sortOrder).sort((a, b) => a - b)
+    const expected = children.map((c, i) => i + 1)
+    if (sortOrders.some((s, i) => s !== expected[i])) {
+      add('sort-order', byId.get(parentId), `children of ${label(byId.get(parentId))} have _sortOrder [${sortOrders.join(', ')}], expected [${expected.join(', ')}]`)
+    }
+  }
+  return problems
+}
+
+/**
+ * Loads a course's content from the database and checks it with {@link findIntegrityProblems},
+ * including asset references and enabled plugins. Installed plugins are read from the
+ * contentplugins collection, so resync it with `contentplugin.syncPluginData()` after a cleanDb().
+ * @param {string} courseId - _id of the course
+ * @returns {Promise<IntegrityProblem[]>} Every problem found (empty if the course is sound)
+ */
+export async function verifyCourseIntegrity (courseId) {
+  courseId = courseId.toString()
+  const content = await getModule('content')
+  const items = await content.find({ _courseId: courseId }, { validate: false })
+  const ids = new Set(items.map(i => i._id.toString()))
+  // items which claim to belong to the course without the right _courseId, or to another course entirely
+  const strays = await content.find({ $or: [{ _id: courseId }, { _parentId: { $in: [...ids] } }] }, { validate: false })
+  items.push(...strays.filter(i => !ids.has(i._id.toString())))
+
+  const assetRefs = [...new Set(items.flatMap(i => i._assetIds ?? []).map(String))]
+  const assets = assetRefs.length ? await (await getModule('assets')).find({ _id: { $in: assetRefs } }, { validate: false }) : []
+  const plugins = await (await getModule('contentplugin')).find({}, { validate: false })
+
+  return findIntegrityProblems(courseId, items, {
+    assetIds: new Set(assets.map(a => a._id.toString())),
+    pluginNames: new Set(plugins.map(p => p.name))
+  })
+}
+
+/**
+ * Asserts that a course has no integrity problems, listing them all if it does.
+ * @param {string} courseId - _id of the course
+ * @returns {Promise<void>}
+ */
+export async function assertCourseIntegrity (courseId) {
+  const problems = await verifyCourseIntegrity(courseId)
+  assert.deepEqual(problems, [], `course "${courseId}" has integrity problems:\n${problems.map(p => `- ${p.message}`).join('\n')}`)
+}
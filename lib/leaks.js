@@ -0,0 +1,135 @@
+import fs from 'fs'
+import path from 'path'
+import { after, before, describe } from 'node:test'
+import { getApp } from './app.js'
+import { getConfigValue } from './config.js'
+
+/**
+ * Environment variable giving the file that leak results are written to
+ * @type {string}
+ */
+export const LEAKS_FILE_ENV = 'AAT_LEAKS_FILE'
+
+/**
+ * Environment variable which makes leaks fail the run when set to 'true'
+ * @type {string}
+ */
+export const STRICT_LEAKS_ENV = 'AAT_STRICT_LEAKS'
+
+let client
+let counts
+
+/**
+ * Counts the documents in every collection of the test database. Connects directly rather
+ * than through the app's mongodb module.
+ * @returns {Promise<Object<string, number>>} Counts by collection name
+ */
+async function countDocuments () {
+  if (!client) {
+    const { MongoClient } = await import('mongodb')
+    client = new MongoClient(await getConfigValue('adapt-authoring-mongodb', 'connectionUri', { env: true }))
+    await client.connect()
+  }
+  const db = client.db()
+  const result = {}
+  for (const { name } of await db.listCollections({}, { nameOnly: true }).toArray()) {
+    if (!name.startsWith('system.')) result[name] = await db.collection(name).countDocuments({})
+  }
+  return result
+}
+
+/**
+ * Lists the collections which hold more documents than before.
+ * @param {Object<string, number>} before - Counts by collection name
+ * @param {Object<string, number>} after - Counts by collection name
+ * @returns {Array<{ collection: string, before: number, after: number }>} Sorted by collection name
+ */
+export function findLeaks (before, after) {
+  return Object.keys(after).sort()
+    .filter(c => after[c] > (before[c] ?? 0))
+    .map(c => ({ collection: c, before: before[c] ?? 0, after: after[c] }))
+}
+
+/**
+ * Formats leaks as a comma-separated list, e.g. "users (+2), authtokens (+1)".
+ * @param {Array<Object>} leaks - See {@link findLeaks}
+ * @returns {string}
+ */
+function formatCollections (leaks) {
+  return leaks.map(l => `${l.collection} (+${l.after - l.before})`).join(', ')
+}
+
+/**
+ * Formats the specs which left data behind as a report for the end of a run.
+ * @param {Array<{ spec: string, leaks: Object[] }>} results - One per spec with leaks
+ * @returns {string}
+ */
+export function formatLeaks (results) {
+  return ['Leaked data:', ...results.map(r => `  ${r.spec}: ${formatCollections(r.leaks)}`)].join('\n')
+}
+
+/**
+ * Returns the document counts the first spec is compared against. The app is booted first, so
+ * documents it creates on start (e.g. seeded roles and contentplugins) aren't blamed on
+ * whichever spec happens to boot it.
+ * @param {Object} [options]
+ * @param {function(): Promise<*>} [options.boot] - Boots the app (defaults to getApp())
+ * @param {function(): Promise<Object<string, number>>} [options.count] - Counts documents by collection
+ * @returns {Promise<Object<string, number>>} Counts by collection name
+ */
+export async function getBaselineCounts ({ boot = getApp, count = countDocuments } = {}) {
+  await boot()
+  return count()
+}
+
+/**
+ * Starts tracking leaks in a test process. Documents are counted once the app has booted and
+ * before the first spec runs, and the connection is closed once every spec has finished.
+ */
+export function startLeakTracking () {
+  before(async () => {
+    counts = await getBaselineCounts()
+  })
+  after(async () => {
+    await client?.close()
+  })
+}
+
+/**
+ * Adds a check after a spec's tests which compares document counts with those from before
+ * the spec ran, and writes any increases to the file in {@link LEAKS_FILE_ENV}. In strict
+ * mode (see {@link STRICT_LEAKS_ENV}) leaks also fail the check.
+ * @param {string} specFile - Absolute path to the spec file
+ */
+export function checkLeaks (specFile) {
+  const spec = path.basename(specFile)
+  describe(`Leak check: ${spec}`, () => {
+    after(async () => {
+      const previous = counts
+      counts = await countDocuments()
+      const leaks = findLeaks(previous, counts)
+      if (!leaks.length) return
+      if (process.env[LEAKS_FILE_ENV]) {
+        fs.appendFileSync(process.env[LEAKS_FILE_ENV], JSON.stringify({ spec, file: specFile, leaks }) + '\n')
+      }
+      if (process.env[STRICT_LEAKS_ENV] === 'true') {
+        throw new Error(`${spec} left data behind: ${formatCollections(leaks)}`)
+      }
+    })
+  })
+}
+
+/**
+ * Reads the results written by {@link checkLeaks}.
+ * @param {string} file - The leaks file
+ * @returns {Array<{ spec: string, file: string, leaks: Object[] }>} The results (empty if there were no leaks)
+ */
+export function readLeaks (file) {
+  try {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l))
+  } catch {
+    return []
+  } finally {
+    fs.rmSync(file, { force: true })
+  }
+}
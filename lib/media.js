@@ -0,0 +1,154 @@
+import { execFile } from 'child_process'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { promisify } from 'util'
+import zlib from 'zlib'
+
+const execFileAsync = promisify(execFile)
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+/**
+ * Builds a PNG chunk, with its length and CRC.
+ * @param {string} type - Four-character chunk type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function pngChunk (type, data) {
+  const length = Buffer.alloc(4)
+  length.writeUInt32BE(data.length)
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data])
+  const crc = Buffer.alloc(4)
+  crc.writeUInt32BE(zlib.crc32(typeAndData))
+  return Buffer.concat([length, typeAndData, crc])
+}
+
+/**
+ * Generates a solid-colour RGB PNG.
+ * @param {Object} [options]
+ * @param {number} [options.width=16]
+ * @param {number} [options.height=16]
+ * @param {number[]} [options.color=[255, 0, 0]] - Red, green and blue, from 0 to 255
+ * @returns {Buffer}
+ */
+export function createPng ({ width = 16, height = 16, color = [255, 0, 0] } = {}) {
+  const header = Buffer.alloc(13)
+  header.writeUInt32BE(width, 0)
+  header.writeUInt32BE(height, 4)
+  header.set([8, 2, 0, 0, 0], 8) // 8-bit RGB, no interlacing
+  // each row starts with its filter type (0, none)
+  const row = Buffer.concat([Buffer.from([0]), Buffer.from(Array.from({ length: width }, () => color).flat())])
+  const pixels = Buffer.concat(Array.from({ length: height }, () => row))
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ])
+}
+
+/**
+ * Reads a PNG's dimensions from its header (e.g. to check a generated thumbnail).
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number }}
+ * @throws {Error} If the buffer isn't a PNG
+ */
+export function readPngSize (buffer) {
+  if (buffer.length < 24 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE) || buffer.toString('ascii', 12, 16) !== 'IHDR') {
+    throw new Error('Not a PNG file')
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+}
+
+/**
+ * Generates a silent 8-bit mono WAV.
+ * @param {Object} [options]
+ * @param {number} [options.seconds=1]
+ * @param {number} [options.sampleRate=8000]
+ * @returns {Buffer}
+ */
+export function createWav ({ seconds = 1, sampleRate = 8000 } = {}) {
+  const dataSize = Math.round(seconds * sampleRate)
+  const header = Buffer.alloc(44)
+  header.write('RIFF', 0, 'ascii')
+  header.writeUInt32LE(36 + dataSize, 4)
+  header.write('WAVEfmt ', 8, 'ascii')
+  header.writeUInt32LE(16, 16) // fmt chunk size
+  header.writeUInt16LE(1, 20) // PCM
+  header.writeUInt16LE(1, 22) // channels
+  header.writeUInt32LE(sampleRate, 24)
+  header.writeUInt32LE(sampleRate, 28) // byte rate
+  header.writeUInt16LE(1, 32) // block align
+  header.writeUInt16LE(8, 34) // bits per sample
+  header.write('data', 36, 'ascii')
+  header.writeUInt32LE(dataSize, 40)
+  // unsigned 8-bit samples are silent at 128
+  return Buffer.concat([header, Buffer.alloc(dataSize, 128)])
+}
+
+/**
+ * Generates an SVG with a single rectangle.
+ * @param {Object} [options]
+ * @param {number} [options.width=16]
+ * @param {number} [options.height=16]
+ * @returns {string}
+ */
+export function createSvg ({ width = 16, height = 16 } = {}) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="${width}" height="${height}" fill="red"/></svg>\n`
+}
+
+/**
+ * Generates a single-page PDF showing a line of text.
+ * @param {string} [text='Test document']
+ * @returns {Buffer}
+ */
+export function createPdf (text = 'Test document') {
+  const stream = `BT /F1 18 Tf 72 720 Td (${text.replace(/[\\()]/g, '\\$&')}) Tj ET`
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ]
+  let pdf = '%PDF-1.4\n'
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(pdf)
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`
+    return offset
+  })
+  const xref = Buffer.byteLength(pdf)
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+  return Buffer.from(pdf)
+}
+
+/**
+ * Generates an MP4 of ffmpeg's test pattern. Needs an ffmpeg binary, so defaults to the one the
+ * assets module uses.
+ * @param {Object} [options]
+ * @param {number} [options.width=160]
+ * @param {number} [options.height=120]
+ * @param {number} [options.seconds=6] - The assets module takes video thumbnails at 5 seconds, so shorter videos get none
+ * @param {string} [options.ffmpegPath] - Defaults to the binary from `@ffmpeg-installer/ffmpeg`
+ * @returns {Promise<Buffer>}
+ */
+export async function createVideo ({ width = 160, height = 120, seconds = 6, ffmpegPath } = {}) {
+  ffmpegPath ??= (await import('@ffmpeg-installer/ffmpeg')).default.path
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aat-media-'))
+  const filePath = path.join(dir, 'video.mp4')
+  try {
+    await execFileAsync(ffmpegPath, [
+      '-f', 'lavfi',
+      '-i', `testsrc=size=${width}x${height}:rate=10:duration=${seconds}`,
+      '-pix_fmt', 'yuv420p',
+      '-loglevel', 'error',
+      '-y', filePath
+    ])
+    return await fs.readFile(filePath)
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+}
@@ -0,0 +1,146 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { getModule } from './app.js'
+
+/**
+ * Filename suffixes (and `type` values in the migrations collection) by migration type
+ * @type {Object<string, string>}
+ */
+export const MIGRATION_TYPES = {
+  config: 'conf',
+  content: 'content'
+}
+
+/**
+ * A migration to write to a scaffold
+ * @typedef {Object} MigrationDefinition
+ * @property {string} version - Version the migration belongs to (e.g. '1.2.0')
+ * @property {string} [type='content'] - 'content' or 'config'
+ * @property {Function|string} migrate - The migration's default export. Functions are written
+ * out with toString(), so can't use variables from the surrounding scope; pass a string for
+ * anything more complex
+ */
+
+/**
+ * Temporary files for a migration run
+ * @typedef {Object} MigrationScaffold
+ * @property {string} rootDir - Root of the temporary directory
+ * @property {string} configFilePath - Path to the generated config file
+ * @property {Object<string, { rootDir: string }>} dependencies - Dependencies to pass to runMigrations()
+ * @property {function(): Promise<Object>} readConfig - Reads the current contents of the config file
+ * @property {function(): Promise<void>} cleanup - Removes the temporary files
+ */
+
+/**
+ * Returns the filename for a migration.
+ * @param {MigrationDefinition} migration
+ * @returns {string}
+ */
+export function getMigrationFilename ({ version, type = 'content' }) {
+  if (!MIGRATION_TYPES[type]) throw new Error(`Unknown migration type: ${type} (expected ${Object.keys(MIGRATION_TYPES).join(' or ')})`)
+  return `${version}-${MIGRATION_TYPES[type]}.js`
+}
+
+/**
+ * Creates a temporary directory with a config file and one dependency directory per module,
+ * each containing the given migrations.
+ * @param {Object} options
+ * @param {string} options.connectionUri - Database the migrations should run against
+ * @param {Object<string, MigrationDefinition[]>} [options.dependencies] - Migrations by module name
+ * @param {Object} [options.config] - Extra config, merged with the database settings
+ * @returns {Promise<MigrationScaffold>}
+ * @example
+ * const scaffold = await createMigrationScaffold({
+ *   connectionUri,
+ *   dependencies: {
+ *     'test-dep': [{ version: '1.0.0', type: 'config', migrate: m => m.where('test-module').mutate(c => { c['test-module'].a = 1 }) }]
+ *   }
+ * })
+ */
+export async function createMigrationScaffold ({ connectionUri, dependencies = {}, config = {} }) {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mig-test-'))
+  const confDir = path.join(rootDir, 'conf')
+  await fs.mkdir(confDir, { recursive: true })
+  const configFilePath = path.join(confDir, 'testing.config.js')
+  const fullConfig = { ...config, 'adapt-authoring-mongodb': { connectionUri, ...config['adapt-authoring-mongodb'] } }
+  await fs.writeFile(configFilePath, `export default ${JSON.stringify(fullConfig, null, 2)}\n`, 'utf8')
+
+  const deps = {}
+  for (const [name, migrations] of Object.entries(dependencies)) {
+    const depDir = path.join(rootDir, 'deps', name)
+    await fs.mkdir(path.join(depDir, 'migrations'), { recursive: true })
+    for (const migration of migrations) {
+      let code = migration.migrate.toString()
+      // method shorthand, e.g. { migrate (m) {} }
+      if (typeof migration.migrate === 'function' && !/^(async\s+)?(function\b|\(|[\w$]+\s*=>)/.test(code)) {
+        code = code.replace(/^(async\s+)?/, '$1function ')
+      }
+      await fs.writeFile(path.join(depDir, 'migrations', getMigrationFilename(migration)), `export default ${code}\n`, 'utf8')
+    }
+    deps[name] = { rootDir: depDir }
+  }
+  return {
+    rootDir,
+    configFilePath,
+    dependencies: deps,
+    // cache-busted, as the file may have been rewritten since it was last imported
+    readConfig: async () => (await import(`${pathToFileURL(configFilePath).href}?t=${Date.now()}`)).default,
+    cleanup: () => fs.rm(rootDir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Collects log calls into an array for assertion.
+ * @returns {{ logs: Array<{ level: string, id: string, msg: string }>, log: Function }}
+ */
+export function createLogCollector () {
+  const logs = []
+  const log = (level, id, msg) => logs.push({ level, id, msg })
+  return { logs, log }
+}
+
+/**
+ * Runs the migrations in a scaffold, collecting the logs. Errors are returned rather than
+ * thrown, so failures can be asserted on alongside the logs.
+ * @param {MigrationScaffold} scaffold
+ * @param {Object} [options] - Extra options for runMigrations() (e.g. `dryRun`)
+ * @returns {Promise<{ logs: Array<Object>, error?: Error }>}
+ */
+export async function runScaffoldMigrations (scaffold, options = {}) {
+  const { runMigrations } = await import('adapt-authoring-migrations')
+  const { logs, log } = createLogCollector()
+  try {
+    await runMigrations({
+      dependencies: scaffold.dependencies,
+      configFilePath: scaffold.configFilePath,
+      rootDir: scaffold.rootDir,
+      log,
+      ...options
+    })
+    return { logs }
+  } catch (error) {
+    return { logs, error }
+  }
+}
+
+/**
+ * Returns the completed migrations recorded for a module, oldest first.
+ * @param {string} moduleName
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getMigrationRecords (moduleName) {
+  const mongodb = await getModule('mongodb')
+  return mongodb.getCollection('migrations').find({ module: moduleName }).sort({ completedAt: 1, _id: 1 }).toArray()
+}
+
+/**
+ * Removes the migration records for a set of modules, so their migrations would run again.
+ * @param {string[]} moduleNames
+ * @returns {Promise<void>}
+ */
+export async function clearMigrationRecords (moduleNames) {
+  const mongodb = await getModule('mongodb')
+  await mongodb.getCollection('migrations').deleteMany({ module: { $in: moduleNames } })
+}
@@ -0,0 +1,101 @@
+/**
+ * Roles a permission matrix is checked for (in addition to anonymous requests)
+ * @type {string[]}
+ */
+export const MATRIX_ROLES = ['authuser', 'contentcreator', 'superuser']
+
+/**
+ * Value substituted for route parameters
+ * @type {string}
+ */
+export const DUMMY_ID = '000000000000000000000000'
+
+/**
+ * Routes which change the installation itself (e.g. updating the framework or plugins)
+ * rather than data in the test database. These are only requested by principals that
+ * are expected to be denied access.
+ * @type {RegExp[]}
+ */
+export const UNSAFE_ROUTES = [
+  /^post .*\/adapt\/update$/i,
+  /^post .*\/contentplugins\/install$/i,
+  /^post .*\/contentplugins\/[^/]+\/update$/i
+]
+
+/**
+ * Replaces :param and {param} style placeholders in a route path with {@link DUMMY_ID}.
+ * @param {string} routePath
+ * @returns {string}
+ */
+export function resolveRoutePath (routePath) {
+  return routePath.replace(/[{]?:[^/}]+[}]?/g, DUMMY_ID)
+}
+
+/**
+ * Checks whether a route is in {@link UNSAFE_ROUTES}.
+ * @param {string} method
+ * @param {string} routePath
+ * @returns {boolean}
+ */
+export function isUnsafeRoute (method, routePath) {
+  return UNSAFE_ROUTES.some(re => re.test(`${method} ${routePath}`))
+}
+
+/**
+ * Works out how the app should respond to a principal calling a route.
+ * @param {Object} route
+ * @param {boolean} route.unsecured - Whether the route is in auth.unsecuredRoutes
+ * @param {string[]} [route.scopes] - The route's declared permission scopes
+ * @param {Object} [principal] - The requesting user (omit for anonymous requests)
+ * @param {boolean} [principal.isSuper] - Whether the user is a super user
+ * @param {string[]} [principal.scopes] - The user's scopes
+ * @returns {string} One of 'allowed', 'unauthenticated' or 'forbidden', or 'undeclared' if the route is secured but has no scopes
+ */
+export function getExpectedAccess ({ unsecured, scopes }, principal) {
+  if (unsecured) return 'allowed'
+  if (!principal) return 'unauthenticated'
+  if (!scopes) return 'undeclared'
+  if (principal.isSuper) return 'allowed'
+  return scopes.every(s => principal.scopes.includes(s)) ? 'allowed' : 'forbidden'
+}
+
+/**
+ * Checks a response status against an expected access level. Allowed requests may fail
+ * for other reasons (e.g. a 404 for the dummy _id), so only need to avoid 401 and 403.
+ * @param {string} expected - See {@link getExpectedAccess}
+ * @param {number} status
+ * @returns {boolean}
+ */
+export function isExpectedStatus (expected, status) {
+  if (expected === 'allowed') return status !== 401 && status !== 403
+  if (expected === 'unauthenticated') return status === 401
+  if (expected === 'forbidden') return status === 403
+  return false
+}
+
+/**
+ * Formats permission matrix results as a plain-text table. Mismatches are marked with
+ * a cross and the expected access, and skipped requests with a dash.
+ * @param {Array<Object>} rows - One per route and method, with `method`, `path`, `scopes`, `unsecured` and `results` by principal name
+ * @param {string[]} principals - Column order
+ * @returns {string}
+ */
+export function formatMatrix (rows, principals) {
+  const cell = r => {
+    if (!r) return ''
+    if (r.skipped) return '-'
+    return r.ok ? String(r.status) : `${r.status} ✗ (${r.expected})`
+  }
+  const table = [
+    ['route', 'scopes', ...principals],
+    ...rows.map(row => [
+      `${row.method.toUpperCase()} ${row.path}`,
+      row.unsecured ? '(unsecured)' : row.scopes?.join(', ') ?? '(none)',
+      ...principals.map(p => cell(row.results[p]))
+    ])
+  ]
+  const widths = table[0].map((_, i) => Math.max(...table.map(r => r[i].length)))
+  const lines = table.map(r => r.map((c, i) => c.padEnd(widths[i])).join(' | ').trimEnd())
+  lines.splice(1, 0, widths.map(w => '-'.repeat(w)).join('-|-'))
+  return lines.join('\n')
+}
@@ -0,0 +1,152 @@
+import { applyFileOverrides, writeFiles } from './courseexport.js'
+
+/**
+ * Plugin types, as used for the `type` of a {@link PluginDescription}
+ * @type {string[]}
+ */
+export const PLUGIN_TYPES = ['component', 'extension', 'menu', 'theme']
+
+/**
+ * Description of an Adapt plugin package
+ * @typedef {Object} PluginDescription
+ * @property {string} name - Package name (e.g. 'adapt-local-test')
+ * @property {string} [version='1.0.0']
+ * @property {string} [type='component'] - One of {@link PLUGIN_TYPES}
+ * @property {string} [framework='>=5.0.0'] - Supported framework versions
+ * @property {string} [displayName] - Defaults to the name
+ * @property {string} [targetAttribute] - Defaults to the name without its `adapt-`/`adapt-contrib-` prefix, in camel case with a leading underscore
+ * @property {Object} [properties] - Schema properties the plugin adds (to the component, or under the target attribute on the course)
+ * @property {string} [schemaFormat='json'] - 'json' for `schema/*.schema.json`, or 'legacy' for `properties.schema`
+ * @property {string} [manifest='bower'] - 'bower', 'package' or 'both'
+ * @property {Object<string, string|Buffer|Object|null>} [files] - Extra files by relative path, applied last. Objects are
+ * written as JSON, and null removes a generated file
+ */
+
+/**
+ * Returns a plugin's short name, as used in its templates, schemas and target attribute
+ * (e.g. 'adapt-contrib-textInput' becomes 'textInput', 'adapt-local-test' becomes 'localTest').
+ * @param {string} name - Package name
+ * @returns {string}
+ */
+export function getPluginShortName (name) {
+  return name.replace(/^adapt-(contrib-)?/, '').replace(/-(\w)/g, (m, c) => c.toUpperCase())
+}
+
+/**
+ * Returns the plugin's schemas, in the format it declares.
+ * @param {PluginDescription} description
+ * @param {string} shortName
+ * @param {string} targetAttribute
+ * @returns {Object<string, Object>} Schemas by relative path
+ */
+function buildSchemas ({ type, properties, schemaFormat }, shortName, targetAttribute) {
+  const isComponent = type === 'component'
+  const patch = { [targetAttribute]: { type: 'object', title: shortName, default: {}, properties } }
+  if (schemaFormat === 'legacy') {
+    return {
+      'properties.schema': {
+        type: 'object',
+        $schema: 'http://json-schema.org/draft-04/schema',
+        id: 'http://jsonschema.net',
+        ...(isComponent
+          ? { $ref: 'http://localhost/plugins/content/component/model.schema', properties }
+          : { properties: { pluginLocations: { type: 'object', properties: { course: { type: 'object', properties: patch } } } } })
+      }
+    }
+  }
+  const schema = {
+    $anchor: `${shortName}-${isComponent ? 'component' : 'course'}`,
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    type: 'object'
+  }
+  if (isComponent) {
+    schema.$merge = { source: { $ref: 'component' }, with: { properties } }
+    return { 'schema/component.schema.json': schema }
+  }
+  schema.$patch = { source: { $ref: 'course' }, with: { properties: patch } }
+  return { 'schema/course.schema.json': schema }
+}
+
+/**
+ * Builds the files for a minimal, valid Adapt plugin: its manifest, schemas, and stub JS and
+ * Less (plus a template for components).
+ * @param {PluginDescription} description
+ * @returns {Object<string, string|Buffer>} File contents by relative path
+ * @throws {Error} If the type or format is unknown
+ */
+export function buildPluginFiles (description) {
+  const {
+    name,
+    version = '1.0.0',
+    type = 'component',
+    framework = '>=5.0.0',
+    displayName = name,
+    properties = {},
+    schemaFormat = 'json',
+    manifest = 'bower'
+  } = description
+  if (!PLUGIN_TYPES.includes(type)) throw new Error(`Unknown plugin type: ${type} (expected ${PLUGIN_TYPES.join(', ')})`)
+  if (!['json', 'legacy'].includes(schemaFormat)) throw new Error(`Unknown schema format: ${schemaFormat} (expected json or legacy)`)
+  if (!['bower', 'package', 'both'].includes(manifest)) throw new Error(`Unknown manifest: ${manifest} (expected bower, package or both)`)
+  const shortName = getPluginShortName(name)
+  const targetAttribute = description.targetAttribute ?? `_${shortName}`
+  const main = `js/${name}.js`
+
+  const json = data => JSON.stringify(data, null, 2)
+  const pluginJson = {
+    name,
+    version,
+    framework,
+    displayName,
+    description: `Generated ${type}`,
+    [type]: shortName,
+    targetAttribute,
+    main: `/${main}`,
+    keywords: ['adapt-plugin', `adapt-${type}`],
+    license: 'GPL-3.0'
+  }
+  const files = {}
+  if (manifest !== 'package') files['bower.json'] = json(pluginJson)
+  if (manifest !== 'bower') files['package.json'] = json(pluginJson)
+  for (const [filePath, schema] of Object.entries(buildSchemas({ type, properties, schemaFormat }, shortName, targetAttribute))) {
+    files[filePath] = json(schema)
+  }
+  files[main] = type === 'component'
+    ? [
+        'import components from \'core/js/components\'',
+        'import ComponentModel from \'core/js/models/componentModel\'',
+        'import ComponentView from \'core/js/views/componentView\'',
+        '',
+        'class View extends ComponentView {',
+        '  postRender () {',
+        '    this.setReadyStatus()',
+        '  }',
+        '}',
+        '',
+        `View.template = '${shortName}'`,
+        '',
+        `export default components.register('${shortName}', { model: ComponentModel, view: View })`,
+        ''
+      ].join('\n')
+    : 'import Adapt from \'core/js/adapt\'\n\nexport default Adapt\n'
+  files[`less/${shortName}.less`] = `.${shortName.toLowerCase()} {\n  display: block;\n}\n`
+  if (type === 'component') files[`templates/${shortName}.hbs`] = `<div class="component__inner ${shortName.toLowerCase()}__inner">\n  {{> component this}}\n</div>\n`
+
+  return applyFileOverrides(files, description.files)
+}
+
+/**
+ * Generates an Adapt plugin package, e.g. to install as a local plugin with
+ * `contentplugin.installPlugin(name, path)`.
+ * @param {PluginDescription} description
+ * @param {Object} [options] - Passed to writeFiles() (e.g. `{ zip: true }`)
+ * @param {string} [options.folder] - Puts the files in a top-level folder, as in zips downloaded from GitHub
+ * @returns {Promise<string>} Absolute path to the package directory or zip file
+ * @example
+ * const zipPath = await createPluginPackage({ name: 'adapt-local-test', properties: { _items: { type: 'array' } } }, { zip: true })
+ */
+export async function createPluginPackage (description, { folder, ...options } = {}) {
+  let files = buildPluginFiles(description)
+  if (folder) files = Object.fromEntries(Object.entries(files).map(([filePath, data]) => [`${folder}/${filePath}`, data]))
+  return writeFiles(files, { zipName: `${description.name}.zip`, ...options })
+}
@@ -0,0 +1,273 @@
+import { execFile } from 'child_process'
+import fs from 'fs/promises'
+import http from 'http'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { promisify } from 'util'
+import { PLUGIN_DIRS } from './buildoutput.js'
+
+const execFileAsync = promisify(execFile)
+
+/**
+ * Built-in fake plugins, one folder per plugin
+ * @type {string}
+ */
+export const REGISTRY_FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'registry')
+
+/** Keeps commits and tags independent of the user's git config */
+const GIT_CONFIG = [
+  '-c', 'user.name=adapt-authoring-integration-tests',
+  '-c', 'user.email=tests@localhost',
+  '-c', 'commit.gpgsign=false',
+  '-c', 'tag.gpgsign=false',
+  '-c', 'init.defaultBranch=master'
+]
+
+/** Files in a plugin folder which aren't copied into its repository */
+const IGNORED_FILES = ['.bower.json', '.git', 'node_modules', 'versions', 'versions.json']
+
+/**
+ * A plugin the registry serves
+ * @typedef {Object} RegistryPlugin
+ * @property {string} name - Package name (e.g. 'adapt-test-component')
+ * @property {string[]} versions - Versions, in the order they were tagged
+ * @property {string} url - Path to the plugin's git repository
+ * @property {boolean} mirrored - Whether the plugin is a copy of an installed plugin, rather than a fixture
+ */
+
+/**
+ * A running registry stand-in
+ * @typedef {Object} Registry
+ * @property {string} url - Registry URL, ending with a slash (use as `ADAPT_REGISTRY`)
+ * @property {RegistryPlugin[]} plugins - Every plugin served
+ * @property {Array<{ path: string, status: number }>} requests - Every request served, in order
+ * @property {function(): Promise<void>} close - Stops the server and removes the repositories
+ */
+
+/**
+ * Runs a git command.
+ * @param {string} cwd
+ * @param {...string} args
+ * @returns {Promise<void>}
+ */
+async function git (cwd, ...args) {
+  await execFileAsync('git', [...GIT_CONFIG, ...args], { cwd })
+}
+
+/**
+ * Reads a plugin's manifest, preferring the bower.json it shipped with.
+ * @param {string} dir - Plugin folder
+ * @returns {Promise<Object|null>} The manifest, or null if there isn't one
+ */
+async function readManifest (dir) {
+  for (const file of ['bower.json', '.bower.json']) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'))
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+    }
+  }
+  return null
+}
+
+/**
+ * Reads the fake plugins in a registry fixtures directory. Each plugin folder holds the plugin's
+ * files, a `bower.json` without a version, and a `versions.json` mapping each version to any
+ * manifest properties which differ in that version (e.g. `{ "2.0.0": { "framework": ">=6" } }`).
+ * Files which differ go in `versions/<version>/`, and replace the shared ones for that version.
+ * @param {string} dir - Fixtures directory
+ * @returns {Promise<Array<{ name: string, dir: string, manifest: Object, versions: Object<string, Object> }>>}
+ * @throws {Error} If a plugin folder is missing either file
+ */
+export async function readRegistryFixtures (dir) {
+  let entries
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true })
+  } catch (e) {
+    if (e.code === 'ENOENT') return []
+    throw e
+  }
+  const fixtures = []
+  for (const entry of entries.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    const pluginDir = path.join(dir, entry.name)
+    const read = async file => {
+      try {
+        return JSON.parse(await fs.readFile(path.join(pluginDir, file), 'utf8'))
+      } catch (e) {
+        throw new Error(`Invalid registry fixture "${entry.name}": couldn't read ${file} (${e.message})`)
+      }
+    }
+    const manifest = await read('bower.json')
+    fixtures.push({ name: manifest.name ?? entry.name, dir: pluginDir, manifest, versions: await read('versions.json') })
+  }
+  return fixtures
+}
+
+/**
+ * Returns the folders of the plugins installed in a framework.
+ * @param {string} frameworkDir - Root of the framework (e.g. `framework.path`)
+ * @returns {Promise<string[]>}
+ */
+export async function getInstalledPluginDirs (frameworkDir) {
+  const dirs = []
+  for (const typeDir of PLUGIN_DIRS) {
+    let entries
+    try {
+      entries = await fs.readdir(path.join(frameworkDir, typeDir), { withFileTypes: true })
+    } catch (e) {
+      if (e.code === 'ENOENT') continue
+      throw e
+    }
+    for (const entry of entries.filter(e => e.isDirectory())) {
+      const dir = path.join(frameworkDir, typeDir, entry.name)
+      if (await readManifest(dir)) dirs.push(dir)
+    }
+  }
+  return dirs.sort()
+}
+
+/**
+ * Creates a git repository with one tagged commit per version, which bower can install from.
+ * @param {string} repoDir - Where to create the repository
+ * @param {Array<{ version: string, dirs: string[], manifest: Object }>} versions - Source folders (later ones overlaying earlier ones) and bower.json for each version
+ * @returns {Promise<void>}
+ */
+async function createPluginRepo (repoDir, versions) {
+  await fs.mkdir(repoDir, { recursive: true })
+  await git(repoDir, 'init', '--quiet')
+  for (const { version, dirs, manifest } of versions) {
+    for (const f of await fs.readdir(repoDir)) {
+      if (f !== '.git') await fs.rm(path.join(repoDir, f), { recursive: true, force: true })
+    }
+    for (const dir of dirs) {
+      let files
+      try {
+        files = await fs.readdir(dir)
+      } catch (e) {
+        if (e.code === 'ENOENT') continue
+        throw e
+      }
+      for (const f of files.filter(f => !IGNORED_FILES.includes(f))) {
+        await fs.cp(path.join(dir, f), path.join(repoDir, f), { recursive: true, force: true })
+      }
+    }
+    await fs.writeFile(path.join(repoDir, 'bower.json'), `${JSON.stringify({ ...manifest, version }, null, 2)}\n`)
+    await git(repoDir, 'add', '--all')
+    await git(repoDir, 'commit', '--quiet', '--allow-empty', '-m', version)
+    await git(repoDir, 'tag', `v${version}`)
+  }
+}
+
+/**
+ * Starts a local stand-in for the Adapt plugin registry, which serves fake plugins from a fixtures
+ * directory as git repositories. Point adapt-cli at it with the `ADAPT_REGISTRY` environment
+ * variable. Installed plugins can be mirrored too, so that commands which look up every installed
+ * plugin (e.g. `getPluginUpdateInfos`) work offline, and always find them up to date.
+ * @param {Object} [options]
+ * @param {string[]} [options.fixturesDirs] - Fixtures directories, later ones taking priority when names collide (defaults to the built-in fixtures plus `CUSTOM_DIR/fixtures/registry`)
+ * @param {string[]} [options.plugins] - Names of the fake plugins to serve (defaults to all of them)
+ * @param {string[]} [options.mirror] - Installed plugin folders to serve at their current version (see {@link getInstalledPluginDirs})
+ * @returns {Promise<Registry>}
+ * @throws {Error} If a requested plugin isn't in any fixtures directory
+ * @example
+ * const registry = await startRegistry({ mirror: await getInstalledPluginDirs(framework.path) })
+ * process.env.ADAPT_REGISTRY = registry.url
+ */
+export async function startRegistry ({ fixturesDirs, plugins, mirror = [] } = {}) {
+  fixturesDirs ??= [REGISTRY_FIXTURES_DIR, process.env.CUSTOM_DIR && path.join(process.env.CUSTOM_DIR, 'fixtures', 'registry')].filter(Boolean)
+  const fixtures = new Map()
+  for (const dir of fixturesDirs) {
+    for (const fixture of await readRegistryFixtures(dir)) fixtures.set(fixture.name, fixture)
+  }
+  const missing = (plugins ?? []).filter(name => !fixtures.has(name))
+  if (missing.length) throw new Error(`Unknown registry fixture(s): ${missing.join(', ')}. Available: ${[...fixtures.keys()].join(', ')}`)
+
+  const served = new Map()
+  const requests = []
+  const toEntry = ({ name, url }) => ({ name, url })
+  // the subset of the bower registry API used by lookup, search and list
+  const server = http.createServer((req, res) => {
+    const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname)
+    const [, search] = urlPath.match(/^\/packages\/search\/(.+)$/) ?? []
+    const [, name] = urlPath.match(/^\/packages\/([^/]+)$/) ?? []
+    let body
+    if (urlPath === '/packages') {
+      body = [...served.values()].map(toEntry)
+    } else if (search) {
+      body = [...served.values()].filter(p => p.name.includes(search)).map(toEntry)
+    } else if (name && served.has(name)) {
+      body = toEntry(served.get(name))
+    }
+    const status = req.method !== 'GET' ? 405 : body ? 200 : 404
+    requests.push({ path: urlPath, status })
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' })
+    res.end(status === 200 ? JSON.stringify(body) : undefined)
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const { port } = server.address()
+  const stop = () => new Promise(resolve => {
+    server.closeAllConnections()
+    server.close(() => resolve())
+  })
+  // bower caches lookups on disk by host for days, so the repositories live at a path derived
+  // from the port, which any stale entry from an earlier registry on the same port will match
+  const rootDir = path.join(os.tmpdir(), `aat-registry-${port}`)
+  try {
+    await fs.rm(rootDir, { recursive: true, force: true })
+    for (const dir of mirror) {
+      const manifest = await readManifest(dir)
+      const url = path.join(rootDir, manifest.name)
+      await createPluginRepo(url, [{ version: manifest.version, dirs: [dir], manifest }])
+      served.set(manifest.name, { name: manifest.name, versions: [manifest.version], url, mirrored: true })
+    }
+    for (const fixture of [...fixtures.values()].filter(f => !plugins || plugins.includes(f.name))) {
+      const url = path.join(rootDir, fixture.name)
+      const versions = Object.entries(fixture.versions).map(([version, overrides]) => ({
+        version,
+        dirs: [fixture.dir, path.join(fixture.dir, 'versions', version)],
+        manifest: { ...fixture.manifest, ...overrides }
+      }))
+      await fs.rm(url, { recursive: true, force: true })
+      await createPluginRepo(url, versions)
+      served.set(fixture.name, { name: fixture.name, versions: Object.keys(fixture.versions), url, mirrored: false })
+    }
+  } catch (e) {
+    await stop()
+    await fs.rm(rootDir, { recursive: true, force: true })
+    throw e
+  }
+  return {
+    url: `http://127.0.0.1:${port}/`,
+    plugins: [...served.values()],
+    requests,
+    close: async () => {
+      await stop()
+      await fs.rm(rootDir, { recursive: true, force: true })
+    }
+  }
+}
+
+/**
+ * Starts a registry which serves the plugins installed in a framework along with the fake ones, and
+ * points adapt-cli at it (through `ADAPT_REGISTRY`) until it's closed.
+ * @param {string} frameworkDir - Root of the framework (e.g. `framework.path`)
+ * @param {Object} [options] - Passed to {@link startRegistry}
+ * @returns {Promise<Registry>}
+ * @example
+ * const registry = await useRegistry(framework.path)
+ * await framework.runCliCommand('installPlugins', { plugins: ['adapt-test-component@1.0.0'] })
+ * await registry.close()
+ */
+export async function useRegistry (frameworkDir, options = {}) {
+  const registry = await startRegistry({ ...options, mirror: await getInstalledPluginDirs(frameworkDir) })
+  const previous = process.env.ADAPT_REGISTRY
+  process.env.ADAPT_REGISTRY = registry.url
+  const close = registry.close
+  registry.close = async () => {
+    if (previous === undefined) delete process.env.ADAPT_REGISTRY
+    else process.env.ADAPT_REGISTRY = previous
+    await close()
+  }
+  return registry
+}
@@ -0,0 +1,174 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * Report formats supported by {@link writeReports}
+ * @type {string[]}
+ */
+export const REPORTERS = ['junit', 'json']
+
+/**
+ * Custom `node --test` reporter which writes a JSON line for every test as it
+ * completes (the runner uses --test-force-exit, so nothing can be deferred until the
+ * end of the run). The runner merges these per-process results into the final
+ * reports (see {@link writeReports}).
+ * @param {AsyncIterable<Object>} source - Test runner events
+ * @returns {AsyncGenerator<string>}
+ */
+export default async function * reporter (source) {
+  const stack = []
+  for await (const { type, data } of source) {
+    if (type === 'test:start') {
+      stack[data.nesting] = data.name
+      stack.length = data.nesting + 1
+      continue
+    }
+    if (type !== 'test:pass' && type !== 'test:fail') continue
+    const { details } = data
+    const isSuite = details.type === 'suite'
+    // suites are only reported when they fail for their own reasons (e.g. a failed hook)
+    if (isSuite && (type === 'test:pass' || details.error?.failureType === 'subtestsFailed')) continue
+
+    const result = {
+      suite: stack.slice(0, data.nesting).join(' > '),
+      name: isSuite ? `${data.name} (suite)` : data.name,
+      file: data.file,
+      duration: details.duration_ms,
+      status: type === 'test:fail' ? 'failed' : data.skip !== undefined ? 'skipped' : data.todo !== undefined ? 'todo' : 'passed'
+    }
+    if (type === 'test:fail') {
+      const error = details.error?.cause ?? details.error
+      result.failure = { message: error?.message ?? String(error), stack: error?.stack }
+    }
+    yield JSON.stringify(result) + '\n'
+  }
+}
+
+/**
+ * Reads the results written by {@link reporter}.
+ * @param {string} file - The reporter's destination file
+ * @returns {Promise<Array<Object>>} The results (empty if the process exited before writing any)
+ */
+export async function readResults (file) {
+  try {
+    return (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean).map(l => JSON.parse(l))
+  } catch {
+    return []
+  } finally {
+    await fs.rm(file, { force: true })
+  }
+}
+
+/**
+ * Escapes a string for use in XML text and attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml (value) {
+  return String(value ?? '')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Counts the results by status.
+ * @param {Array<Object>} results
+ * @returns {{ total: number, passed: number, failed: number, skipped: number, duration: number }}
+ */
+function countResults (results) {
+  return {
+    total: results.length,
+    passed: results.filter(r => r.status === 'passed').length,
+    failed: results.filter(r => r.status === 'failed').length,
+    skipped: results.filter(r => r.status === 'skipped' || r.status === 'todo').length,
+    duration: results.reduce((total, r) => total + (r.duration ?? 0), 0)
+  }
+}
+
+/**
+ * Returns the report name for a result's spec file (custom specs are prefixed with `custom/`).
+ * @param {Object} result
+ * @returns {string}
+ */
+function getSpecName (result) {
+  return `${result.custom ? 'custom/' : ''}${path.basename(result.file ?? 'unknown')}`
+}
+
+/**
+ * Converts test results to a JUnit XML document, with one testsuite per spec file.
+ * @param {Array<Object>} results
+ * @returns {string}
+ */
+export function toJUnitXml (results) {
+  const bySpec = new Map()
+  for (const r of results) {
+    const name = getSpecName(r)
+    if (!bySpec.has(name)) bySpec.set(name, [])
+    bySpec.get(name).push(r)
+  }
+  const secs = ms => ((ms ?? 0) / 1000).toFixed(3)
+  const totals = countResults(results)
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="adapt-authoring-integration-tests" tests="${totals.total}" failures="${totals.failed}" skipped="${totals.skipped}" time="${secs(totals.duration)}">`
+  ]
+  for (const [name, specResults] of bySpec) {
+    const counts = countResults(specResults)
+    lines.push(`  <testsuite name="${escapeXml(name)}" file="${escapeXml(specResults[0].file)}" tests="${counts.total}" failures="${counts.failed}" skipped="${counts.skipped}" time="${secs(counts.duration)}">`)
+    for (const r of specResults) {
+      const attrs = `classname="${escapeXml(r.suite || name)}" name="${escapeXml(r.name)}" file="${escapeXml(r.file)}" time="${secs(r.duration)}"`
+      if (r.status === 'failed') {
+        lines.push(`    <testcase ${attrs}>`)
+        lines.push(`      <failure message="${escapeXml(r.failure?.message)}">${escapeXml(r.failure?.stack ?? r.failure?.message)}</failure>`)
+        lines.push('    </testcase>')
+      } else if (r.status === 'skipped' || r.status === 'todo') {
+        lines.push(`    <testcase ${attrs}>`, '      <skipped/>', '    </testcase>')
+      } else {
+        lines.push(`    <testcase ${attrs}/>`)
+      }
+    }
+    lines.push('  </testsuite>')
+  }
+  lines.push('</testsuites>')
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Converts test results to a JSON summary.
+ * @param {Array<Object>} results
+ * @returns {Object}
+ */
+export function toJsonSummary (results) {
+  return {
+    ...countResults(results),
+    tests: results.map(({ suite, name, file, custom, duration, status, failure }) => {
+      return { spec: getSpecName({ file, custom }), suite, name, file, custom: !!custom, duration, status, failure: failure?.message }
+    })
+  }
+}
+
+/**
+ * Writes the requested reports for a run.
+ * @param {Array<Object>} results - Test results, with a `custom` flag set on results from CUSTOM_DIR specs
+ * @param {Object} options
+ * @param {string} options.dir - Directory to write the reports to
+ * @param {string[]} options.reporters - Report formats (see {@link REPORTERS})
+ * @returns {Promise<string[]>} Paths of the written files
+ */
+export async function writeReports (results, { dir, reporters }) {
+  await fs.mkdir(dir, { recursive: true })
+  const written = []
+  if (reporters.includes('junit')) {
+    written.push(path.join(dir, 'junit.xml'))
+    await fs.writeFile(written.at(-1), toJUnitXml(results))
+  }
+  if (reporters.includes('json')) {
+    written.push(path.join(dir, 'results.json'))
+    await fs.writeFile(written.at(-1), JSON.stringify(toJsonSummary(results), null, 2) + '\n')
+  }
+  return written
+}
@@ -0,0 +1,356 @@
+import { spawn } from 'child_process'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import readline from 'readline'
+import { parseArgs } from 'util'
+import { getConfigEnvName, getConfigValue } from './config.js'
+import { dropTestDb, getWorkerConnectionUri } from './db.js'
+import { LEAKS_FILE_ENV, STRICT_LEAKS_ENV, readLeaks } from './leaks.js'
+import { REPORTERS, readResults } from './reporter.js'
+
+let entryCount = 0
+
+/**
+ * Named groups of built-in specs (by basename, without `.spec.js`).
+ * Each group can be selected with `--suite <name>` or the `--<name>-only` shorthand.
+ * @type {Object<string, string[]>}
+ */
+export const SUITES = {
+  core: ['api', 'api-fuzz', 'core', 'lib', 'mongodb'],
+  auth: ['api-auth', 'auth', 'permissions', 'roles', 'users'],
+  content: ['assets', 'content', 'content-assets', 'tags'],
+  import: ['adaptframework-import', 'adaptframework-import-generated', 'adaptframework-import-invalid', 'adaptframework-reimport-export'],
+  build: ['adaptframework-build', 'adaptframework-reimport-export', 'adaptframework-runtime'],
+  plugins: ['adapt-cli', 'contentplugin', 'contentplugin-local', 'contentplugin-upgrade'],
+  migrations: ['migrations', 'migrations-readonly']
+}
+
+/**
+ * Parses the runner's command-line arguments.
+ * Positional arguments are treated as spec names (e.g. `auth` for auth.spec.js).
+ * @param {string[]} argv - Arguments to parse (e.g. process.argv.slice(2))
+ * @returns {{ specs: string[], suites: string[], tags: string[], excludeTags: string[], isolate: boolean, parallel: number, reporters: string[], reportDir: string|undefined, verifyFixtures: boolean, detectLeaks: boolean, strictLeaks: boolean, help: boolean }}
+ * @throws {Error} If an unknown option, suite name or reporter is given, or --parallel isn't a positive integer
+ */
+export function parseRunnerArgs (argv) {
+  const options = {
+    suite: { type: 'string', short: 's', multiple: true, default: [] },
+    tag: { type: 'string', short: 't', multiple: true, default: [] },
+    'exclude-tag': { type: 'string', short: 'x', multiple: true, default: [] },
+    isolate: { type: 'boolean', default: false },
+    parallel: { type: 'string', short: 'p', default: '1' },
+    reporter: { type: 'string', short: 'r', multiple: true, default: [] },
+    'report-dir': { type: 'string' },
+    'verify-fixtures': { type: 'boolean', default: false },
+    'detect-leaks': { type: 'boolean', default: false },
+    'strict-leaks': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+  }
+  for (const name of Object.keys(SUITES)) {
+    options[`${name}-only`] = { type: 'boolean', default: false }
+  }
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true })
+
+  const suites = [...values.suite]
+  for (const name of Object.keys(SUITES)) {
+    if (values[`${name}-only`]) suites.push(name)
+  }
+  const unknown = suites.filter(s => !SUITES[s])
+  if (unknown.length) {
+    throw new Error(`Unknown suite: ${unknown.join(', ')} (available: ${Object.keys(SUITES).join(', ')})`)
+  }
+  const parallel = Number(values.parallel)
+  if (!Number.isInteger(parallel) || parallel < 1) {
+    throw new Error(`Invalid --parallel value: ${values.parallel} (expected a positive integer)`)
+  }
+  let reporters = splitTags(values.reporter)
+  const unknownReporters = reporters.filter(r => !REPORTERS.includes(r))
+  if (unknownReporters.length) {
+    throw new Error(`Unknown reporter: ${unknownReporters.join(', ')} (available: ${REPORTERS.join(', ')})`)
+  }
+  if (values['report-dir'] && !reporters.length) reporters = [...REPORTERS]
+  return {
+    specs: positionals,
+    suites: [...new Set(suites)],
+    tags: splitTags(values.tag),
+    excludeTags: splitTags(values['exclude-tag']),
+    isolate: values.isolate,
+    parallel,
+    reporters,
+    reportDir: reporters.length ? path.resolve(values['report-dir'] ?? 'test-reports') : undefined,
+    verifyFixtures: values['verify-fixtures'],
+    detectLeaks: values['detect-leaks'] || values['strict-leaks'],
+    strictLeaks: values['strict-leaks'],
+    help: values.help
+  }
+}
+
+/**
+ * Resolves the selected spec names and suites to absolute spec file paths.
+ * Returns every spec in the directory when nothing is selected.
+ * @param {string} testsDir - Directory containing the built-in specs
+ * @param {Object} selection
+ * @param {string[]} [selection.specs] - Spec names, run in the order given
+ * @param {string[]} [selection.suites] - Suite names, expanded in the same order as a full run
+ * @returns {string[]}
+ * @throws {Error} If a selected spec file does not exist
+ */
+export function resolveSpecFiles (testsDir, { specs = [], suites = [] } = {}) {
+  if (!specs.length && !suites.length) {
+    return fs.readdirSync(testsDir).filter(f => f.endsWith('.spec.js')).sort().map(f => path.join(testsDir, f))
+  }
+  const suiteSpecs = suites.flatMap(s => SUITES[s]).sort((a, b) => `${a}.spec.js` < `${b}.spec.js` ? -1 : 1)
+  return [...new Set([...specs, ...suiteSpecs])].map(name => {
+    const specFile = path.join(testsDir, `${name}.spec.js`)
+    if (!fs.existsSync(specFile)) {
+      throw new Error(`Test not found: ${name} (expected ${specFile})`)
+    }
+    return specFile
+  })
+}
+
+/**
+ * Splits a list of comma- or whitespace-separated strings into individual values.
+ * @param {string[]} values
+ * @returns {string[]}
+ */
+function splitTags (values) {
+  return [...new Set(values.flatMap(v => v.split(/[\s,]+/)).filter(Boolean))]
+}
+
+/**
+ * Reads the tags declared by a spec file.
+ * Tags are declared in the spec's leading comment block, e.g. `// @tags smoke, slow`.
+ * @param {string} specFile - Absolute path to the spec file
+ * @returns {string[]}
+ */
+export function getSpecTags (specFile) {
+  const tags = []
+  for (const line of fs.readFileSync(specFile, 'utf8').split('\n')) {
+    const trimmed = line.trim()
+    if (trimmed && !/^(\/\/|\/\*|\*)/.test(trimmed)) break
+    const match = trimmed.match(/@tags\s+(.+?)(\*\/)?$/)
+    if (match) tags.push(...splitTags([match[1]]))
+  }
+  return tags
+}
+
+/**
+ * Filters spec files by their declared tags.
+ * A spec is kept if it has any of `tags` (or `tags` is empty) and none of `excludeTags`.
+ * @param {string[]} specFiles - Absolute paths to the spec files
+ * @param {Object} selection
+ * @param {string[]} [selection.tags] - Tags to include
+ * @param {string[]} [selection.excludeTags] - Tags to exclude
+ * @returns {string[]}
+ */
+export function filterSpecsByTags (specFiles, { tags = [], excludeTags = [] } = {}) {
+  if (!tags.length && !excludeTags.length) return specFiles
+  return specFiles.filter(f => {
+    const specTags = getSpecTags(f)
+    if (tags.length && !tags.some(t => specTags.includes(t))) return false
+    return !excludeTags.some(t => specTags.includes(t))
+  })
+}
+
+/**
+ * Generates the entry file which imports spec files into a single test process.
+ * When detecting leaks, the specs are imported one at a time with a leak check after
+ * each (see lib/leaks.js).
+ * @param {string[]} specFiles - Absolute paths to the spec files
+ * @param {Object} [options]
+ * @param {boolean} [options.detectLeaks] - Whether to check for leaked data after each spec
+ * @returns {string}
+ */
+export function getEntrySource (specFiles, { detectLeaks = false } = {}) {
+  if (!detectLeaks) return specFiles.map(f => `import '${f}'`).join('\n') + '\n'
+  return [
+    `import { checkLeaks, startLeakTracking } from '${new URL('./leaks.js', import.meta.url).href}'`,
+    'startLeakTracking()',
+    ...specFiles.flatMap(f => [`await import('${f}')`, `checkLeaks('${f}')`])
+  ].join('\n') + '\n'
+}
+
+/**
+ * Runs spec files in a single `node --test` process.
+ * The specs are imported from one generated entry file so the app boots once per call.
+ * @param {string[]} specFiles - Absolute paths to the spec files
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment variables for the child process
+ * @param {string} [options.prefix] - If set, output is prefixed line-by-line (so concurrent runs can be told apart)
+ * @param {string} [options.resultsFile] - If set, per-test results are also written to this file (see lib/reporter.js)
+ * @param {string} [options.leaksFile] - If set, each spec is checked for leaked data and the results written to this file (see lib/leaks.js)
+ * @param {boolean} [options.strictLeaks] - Whether leaked data should fail the run
+ * @returns {Promise<number>} The exit code of the test process
+ */
+export async function runSpecs (specFiles, { env = process.env, prefix, resultsFile, leaksFile, strictLeaks = false } = {}) {
+  const entryFile = path.join(os.tmpdir(), `aat-test-entry-${process.pid}-${Date.now()}-${entryCount++}.js`)
+  fs.writeFileSync(entryFile, getEntrySource(specFiles, { detectLeaks: !!leaksFile }))
+  if (leaksFile) env = { ...env, [LEAKS_FILE_ENV]: leaksFile, [STRICT_LEAKS_ENV]: String(strictLeaks) }
+  try {
+    return await new Promise((resolve, reject) => {
+      const stdio = prefix ? ['ignore', 'pipe', 'pipe'] : 'inherit'
+      const reporterArgs = resultsFile
+        ? [
+            '--test-reporter=spec', '--test-reporter-destination=stdout',
+            `--test-reporter=${new URL('./reporter.js', import.meta.url).href}`, `--test-reporter-destination=${resultsFile}`
+          ]
+        : []
+      const child = spawn(process.execPath, ['--test', '--test-force-exit', ...reporterArgs, entryFile], { stdio, env })
+      if (prefix) {
+        readline.createInterface({ input: child.stdout }).on('line', l => process.stdout.write(`${prefix}${l}\n`))
+        readline.createInterface({ input: child.stderr }).on('line', l => process.stderr.write(`${prefix}${l}\n`))
+      }
+      child.on('error', reject)
+      child.on('close', code => resolve(code ?? 1))
+    })
+  } finally {
+    try { fs.unlinkSync(entryFile) } catch {}
+  }
+}
+
+/**
+ * Runs spec files against a single database, dropping it first.
+ * In isolate mode each spec gets its own process and a freshly dropped database.
+ * @param {string[]} specFiles - Absolute paths to the spec files
+ * @param {Object} [options]
+ * @param {boolean} [options.isolate] - Whether to run each spec in its own process
+ * @param {string} [options.uri] - Connection URI of the database to drop (defaults to the configured connectionUri)
+ * @param {Object} [options.env] - Environment variables for the child processes
+ * @param {string} [options.prefix] - Output prefix, see {@link runSpecs}
+ * @param {boolean} [options.report] - Whether to collect per-test results (added to each result as `tests`)
+ * @param {boolean} [options.detectLeaks] - Whether to check each spec for leaked data (added to each result as `leaks`)
+ * @param {boolean} [options.strictLeaks] - Whether leaked data should fail the run
+ * @returns {Promise<Array<{ name: string, code: number, duration: number, tests?: Object[], leaks?: Object[] }>>} One result per process run
+ */
+export async function runShard (specFiles, { isolate = false, uri, env, prefix, report = false, detectLeaks = false, strictLeaks = false } = {}) {
+  const results = []
+  for (const files of isolate ? specFiles.map(f => [f]) : [specFiles]) {
+    const name = files.map(f => path.basename(f)).join(', ')
+    if (isolate) console.log(`\n${prefix ?? ''}# ${name}\n`)
+    await dropTestDb(undefined, uri)
+    const resultsFile = report ? path.join(os.tmpdir(), `aat-results-${process.pid}-${Date.now()}-${entryCount}.json`) : undefined
+    const leaksFile = detectLeaks ? path.join(os.tmpdir(), `aat-leaks-${process.pid}-${Date.now()}-${entryCount}.json`) : undefined
+    const start = Date.now()
+    const code = await runSpecs(files, { env, prefix, resultsFile, leaksFile, strictLeaks })
+    const result = { name: `${prefix ?? ''}${name}`, code, duration: Date.now() - start }
+    if (report) result.tests = await readResults(resultsFile)
+    if (detectLeaks) result.leaks = readLeaks(leaksFile).map(l => ({ ...l, spec: `${prefix ?? ''}${l.spec}` }))
+    results.push(result)
+  }
+  return results
+}
+
+/**
+ * Groups of built-in specs (by basename) which must run on the same worker. Workers only have
+ * their own database and port, so specs which install or remove plugins, import courses into
+ * or build from the shared framework directory would otherwise change it under each other.
+ * @type {string[][]}
+ */
+export const SERIAL_SPECS = [[...new Set([...SUITES.plugins, ...SUITES.import, ...SUITES.build])]]
+
+/**
+ * Splits spec files into shards, distributing them round-robin. The specs in each group
+ * are kept together, in the shard that the first of them is dealt to.
+ * @param {string[]} specFiles
+ * @param {number} count - Number of shards
+ * @param {Object} [options]
+ * @param {string[][]} [options.groups={@link SERIAL_SPECS}] - Spec names (basenames without `.spec.js`) to keep on one shard
+ * @returns {string[][]} Non-empty shards
+ */
+export function shardSpecs (specFiles, count, { groups = SERIAL_SPECS } = {}) {
+  const units = []
+  const groupUnits = new Map()
+  for (const f of specFiles) {
+    const group = groups.find(g => g.includes(path.basename(f, '.spec.js')))
+    if (!group) {
+      units.push([f])
+    } else if (groupUnits.has(group)) {
+      groupUnits.get(group).push(f)
+    } else {
+      groupUnits.set(group, [f])
+      units.push(groupUnits.get(group))
+    }
+  }
+  const shards = Array.from({ length: count }, () => [])
+  units.forEach((unit, i) => shards[i % count].push(...unit))
+  return shards.filter(s => s.length)
+}
+
+/**
+ * Returns the connection URI and environment for a parallel worker.
+ * Each worker gets its own database (suffixed with -w<n>) and server port (offset by n - 1).
+ * Everything on disk (the framework, temp and asset directories) is still shared, which is
+ * why {@link shardSpecs} keeps the {@link SERIAL_SPECS} on one worker.
+ * @param {number} worker - Worker number (starting at 1)
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Working directory to resolve config from
+ * @returns {Promise<{ uri: string, env: Object }>}
+ * @throws {Error} If no connectionUri is configured
+ */
+export async function getWorkerConfig (worker, { cwd = process.cwd() } = {}) {
+  const get = (mod, key) => getConfigValue(`adapt-authoring-${mod}`, key, { cwd, env: true })
+  const baseUri = await get('mongodb', 'connectionUri')
+  if (!baseUri) throw new Error('--parallel requires a configured adapt-authoring-mongodb connectionUri')
+
+  const uri = getWorkerConnectionUri(baseUri, worker)
+  const env = { ...process.env, [getConfigEnvName('adapt-authoring-mongodb', 'connectionUri')]: uri }
+
+  const port = Number(await get('server', 'port'))
+  if (port) {
+    const workerPort = port + worker - 1
+    env[getConfigEnvName('adapt-authoring-server', 'port')] = String(workerPort)
+    const url = await get('server', 'url')
+    if (url) {
+      const u = new URL(url)
+      u.port = workerPort
+      env[getConfigEnvName('adapt-authoring-server', 'url')] = u.href.replace(/\/$/, '')
+    }
+  }
+  return { uri, env }
+}
+
+/**
+ * Formats per-spec results as a pass/fail summary.
+ * @param {Array<{ name: string, code: number, duration: number }>} results
+ * @returns {string}
+ */
+export function formatSummary (results) {
+  const failed = results.filter(r => r.code !== 0)
+  return [
+    'Summary:',
+    ...results.map(r => `  ${r.code === 0 ? 'pass' : 'FAIL'}  ${r.name} (${(r.duration / 1000).toFixed(1)}s)`),
+    '',
+    `${results.length - failed.length} passed, ${failed.length} failed`
+  ].join('\n')
+}
+
+/**
+ * Returns the runner usage text.
+ * @returns {string}
+ */
+export function getUsage () {
+  return [
+    'Usage: at-integration-test [options] [spec...]',
+    '',
+    'Options:',
+    '  -s, --suite <name>  Run a named suite (can be repeated)',
+    ...Object.keys(SUITES).map(name => `  --${name}-only`.padEnd(22) + `Shorthand for --suite ${name}`),
+    '  -t, --tag <tag>     Only run specs with this tag (can be repeated)',
+    '  -x, --exclude-tag <tag>',
+    '                      Skip specs with this tag (can be repeated)',
+    '  --isolate           Run each spec in its own process against a fresh database',
+    '  -p, --parallel <n>  Split specs across n workers, each with its own database',
+    '  -r, --reporter <name>',
+    `                      Write a machine-readable report (${REPORTERS.join(', ')}; can be repeated)`,
+    '  --report-dir <dir>  Directory for reports (default: ./test-reports)',
+    '  --verify-fixtures   Check every fixture exists and matches its sha256 before running',
+    '  --detect-leaks      Report specs which leave documents behind in the database',
+    '  --strict-leaks      As --detect-leaks, but leaked documents fail the run',
+    '  -h, --help          Show this message',
+    '',
+    'Suites:',
+    ...Object.entries(SUITES).map(([name, specs]) => `  ${name}: ${specs.join(', ')}`)
+  ].join('\n')
+}
@@ -0,0 +1,152 @@
+import fs from 'fs/promises'
+import http from 'http'
+import path from 'path'
+
+/**
+ * Content types served by {@link serveDirectory}, by file extension
+ * @type {Object<string, string>}
+ */
+export const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.mp4': 'video/mp4',
+  '.mp3': 'audio/mpeg'
+}
+
+/**
+ * A running static file server
+ * @typedef {Object} StaticServer
+ * @property {string} url - Base URL, ending with a slash
+ * @property {Array<{ path: string, status: number }>} requests - Every request served, in order
+ * @property {function(): Promise<void>} close - Stops the server
+ */
+
+/**
+ * Serves a directory (e.g. a preview build) over HTTP on a free local port.
+ * @param {string} dir - Directory to serve
+ * @returns {Promise<StaticServer>}
+ */
+export async function serveDirectory (dir) {
+  const root = path.resolve(dir)
+  const requests = []
+  const server = http.createServer(async (req, res) => {
+    const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname)
+    let filePath = path.join(root, urlPath)
+    if (urlPath.endsWith('/')) filePath = path.join(filePath, 'index.html')
+    let status = 200
+    let data
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      status = 403
+    } else {
+      try {
+        data = await fs.readFile(filePath)
+      } catch {
+        status = 404
+      }
+    }
+    requests.push({ path: urlPath, status })
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] ?? 'application/octet-stream' })
+    res.end(data)
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections()
+      server.close(() => resolve())
+    })
+  }
+}
+
+/**
+ * Stubs browser APIs which jsdom doesn't implement, but which the framework expects to exist.
+ * @param {Window} window
+ */
+function addBrowserStubs (window) {
+  const noopObserver = class {
+    observe () {}
+    unobserve () {}
+    disconnect () {}
+    takeRecords () { return [] }
+  }
+  window.IntersectionObserver ??= noopObserver
+  window.ResizeObserver ??= noopObserver
+  window.matchMedia ??= query => ({ matches: false, media: query, addListener () {}, removeListener () {}, addEventListener () {}, removeEventListener () {} })
+  window.scrollTo = () => {}
+  window.HTMLMediaElement.prototype.play = () => Promise.resolve()
+  window.HTMLMediaElement.prototype.pause = () => {}
+}
+
+/**
+ * A page loaded by {@link loadPage}
+ * @typedef {Object} LoadedPage
+ * @property {Window} window - The jsdom window
+ * @property {string[]} errors - Script errors and failed resource loads, in the order they happened
+ * @property {string[]} notImplemented - Calls to browser features jsdom doesn't implement (e.g. `window.alert()`), which aren't counted as errors
+ * @property {string[]} consoleErrors - Messages logged with console.error
+ * @property {boolean} timedOut - Whether `waitFor` was still false when the timeout was reached
+ * @property {function(): void} close - Closes the window, stopping any timers
+ */
+
+/**
+ * Loads a page in a headless jsdom window, running its scripts and loading its resources.
+ * @param {string} url - URL of the page
+ * @param {Object} [options]
+ * @param {function(Window): boolean} [options.waitFor] - Polled after the load event until it returns true
+ * @param {number} [options.timeout=30000] - How long to wait for the load event and `waitFor`, in milliseconds
+ * @param {number} [options.settle=1000] - Extra time to wait afterwards, so late errors are caught
+ * @returns {Promise<LoadedPage>}
+ */
+export async function loadPage (url, { waitFor = () => true, timeout = 30000, settle = 1000 } = {}) {
+  const { JSDOM, VirtualConsole } = await import('jsdom')
+  const errors = []
+  const notImplemented = []
+  const consoleErrors = []
+  const virtualConsole = new VirtualConsole()
+  virtualConsole.on('jsdomError', e => {
+    // a limitation of jsdom rather than the page, so kept apart from real errors
+    if (e.type === 'not implemented') return notImplemented.push(e.message)
+    // resource errors name the URL in the message, and the reason in the detail
+    errors.push(e.type === 'resource loading' ? `${e.message} (${e.detail?.message})` : e.detail?.message ?? e.message)
+  })
+  virtualConsole.on('error', (...args) => consoleErrors.push(args.map(String).join(' ')))
+
+  const dom = await JSDOM.fromURL(url, {
+    runScripts: 'dangerously',
+    resources: 'usable',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse: addBrowserStubs
+  })
+  const { window } = dom
+  const deadline = Date.now() + timeout
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+  if (window.document.readyState !== 'complete') {
+    let timer
+    await new Promise(resolve => {
+      window.addEventListener('load', resolve)
+      timer = setTimeout(resolve, timeout)
+    })
+    clearTimeout(timer)
+  }
+  let timedOut = false
+  while (!waitFor(window)) {
+    if (Date.now() > deadline) {
+      timedOut = true
+      break
+    }
+    await wait(100)
+  }
+  await wait(settle)
+  return { window, errors, notImplemented, consoleErrors, timedOut, close: () => window.close() }
+}
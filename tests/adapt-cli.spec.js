@@ -1,13 +1,38 @@
+// @tags slow
+
 import { describe, it, before, after } from 'node:test'
 import assert from 'node:assert/strict'
 import { getApp, getModule } from '../lib/app.js'
+import { useRegistry } from '../lib/registry.js'
+
+const TEST_PLUGIN = 'adapt-test-component'
 
 let framework
+let registry
+
+/**
+ * Returns the installed version of a plugin, or undefined if it isn't installed.
+ * @param {string} name
+ * @returns {Promise<string|undefined>}
+ */
+async function getInstalledVersion (name) {
+  const [plugin] = await framework.runCliCommand('getPluginUpdateInfos', { plugins: [name] })
+  return plugin?.projectVersion ?? undefined
+}
 
 describe('adapt-cli', () => {
   before(async () => {
     await getApp()
     framework = await getModule('adaptframework')
+    // serve the installed plugins as they are, plus the fake ones, so nothing is fetched from the real registry
+    registry = await useRegistry(framework.path)
+  })
+
+  after(async () => {
+    const fakes = registry.plugins.filter(p => !p.mirrored).map(p => p.name)
+    const installed = await framework.runCliCommand('getPluginUpdateInfos', { plugins: fakes })
+    if (installed.length) await framework.runCliCommand('uninstallPlugins', { plugins: installed.map(p => p.name) })
+    await registry.close()
   })
 
   // ---------------------------------------------------------------------------
@@ -88,54 +113,44 @@ describe('adapt-cli', () => {
   })
 
   // ---------------------------------------------------------------------------
-  // installPlugins / uninstallPlugins round-trip
+  // installPlugins / updatePlugins / uninstallPlugins, using a fake plugin
   // ---------------------------------------------------------------------------
   describe('installPlugins() and uninstallPlugins()', () => {
-    let targetPlugin
+    it('should install a specific version', async () => {
+      const result = await framework.runCliCommand('installPlugins', { plugins: [`${TEST_PLUGIN}@1.0.0`] })
+      assert.ok(Array.isArray(result), 'should return an array')
+      assert.equal(result.length, 1, 'should have installed one plugin')
+      assert.equal(result[0].name, TEST_PLUGIN)
+      assert.equal(await getInstalledVersion(TEST_PLUGIN), '1.0.0')
+    })
 
-    before(async () => {
-      const all = await framework.runCliCommand('getPluginUpdateInfos')
-      // Pick a plugin that's already installed so we can uninstall and reinstall it
-      targetPlugin = all.find(p => p.matchedVersion && !p.isLocalSource)
-      assert.ok(targetPlugin, 'should have at least one non-local plugin to test with')
-    })
-
-    after(async () => {
-      // Ensure the plugin is reinstalled if the test left it removed
-      const current = await framework.runCliCommand('getPluginUpdateInfos')
-      if (!current.find(p => p.name === targetPlugin.name)) {
-        await framework.runCliCommand('installPlugins', {
-          plugins: [`${targetPlugin.name}@${targetPlugin.matchedVersion}`]
-        })
-      }
+    it('should list the installed plugin', async () => {
+      const installed = await framework.getInstalledPlugins()
+      assert.ok(installed.find(p => p.name === TEST_PLUGIN), 'installed plugin should appear in installed list')
     })
 
-    it('should uninstall a plugin', async () => {
-      const result = await framework.runCliCommand('uninstallPlugins', {
-        plugins: [targetPlugin.name]
-      })
-      assert.ok(Array.isArray(result), 'should return an array')
+    it('should report the latest framework-compatible version as an update', async () => {
+      const [plugin] = await framework.runCliCommand('getPluginUpdateInfos', { plugins: [TEST_PLUGIN] })
+      // 2.0.0 requires a newer framework
+      assert.equal(plugin.matchedVersion, '1.1.0')
+      assert.equal(plugin.canBeUpdated, true)
     })
 
-    it('should no longer list the uninstalled plugin', async () => {
-      const installed = await framework.getInstalledPlugins()
-      const found = installed.find(p => p.name === targetPlugin.name)
-      assert.equal(found, undefined, 'uninstalled plugin should not appear in installed list')
+    it('should update to the latest framework-compatible version', async () => {
+      const result = await framework.runCliCommand('updatePlugins', { plugins: [TEST_PLUGIN] })
+      assert.ok(Array.isArray(result), 'should return an array')
+      assert.equal(await getInstalledVersion(TEST_PLUGIN), '1.1.0')
     })
 
-    it('should reinstall the plugin', async () => {
-      const result = await framework.runCliCommand('installPlugins', {
-        plugins: [`${targetPlugin.name}@${targetPlugin.matchedVersion}`]
-      })
+    it('should uninstall the plugin', async () => {
+      const result = await framework.runCliCommand('uninstallPlugins', { plugins: [TEST_PLUGIN] })
       assert.ok(Array.isArray(result), 'should return an array')
-      assert.equal(result.length, 1, 'should have installed one plugin')
-      assert.equal(result[0].name, targetPlugin.name)
     })
 
-    it('should list the reinstalled plugin', async () => {
+    it('should no longer list the uninstalled plugin', async () => {
       const installed = await framework.getInstalledPlugins()
-      const found = installed.find(p => p.name === targetPlugin.name)
-      assert.ok(found, 'reinstalled plugin should appear in installed list')
+      const found = installed.find(p => p.name === TEST_PLUGIN)
+      assert.equal(found, undefined, 'uninstalled plugin should not appear in installed list')
     })
   })
 
@@ -143,19 +158,23 @@ describe('adapt-cli', () => {
   // updatePlugins
   // ---------------------------------------------------------------------------
   describe('updatePlugins()', () => {
-    it('should not throw when updating all plugins', async () => {
+    it('should find every installed plugin up to date', async () => {
       const all = await framework.runCliCommand('getPluginUpdateInfos')
-      const updatable = all.filter(p => p.canBeUpdated)
-      if (!updatable.length) {
-        // Nothing to update — just verify the command runs without error
-        const result = await framework.runCliCommand('updatePlugins', { plugins: [] })
-        assert.ok(Array.isArray(result), 'should return an array even with nothing to update')
-        return
-      }
-      const result = await framework.runCliCommand('updatePlugins', {
-        plugins: [updatable[0].name]
-      })
-      assert.ok(Array.isArray(result), 'should return an array')
+      assert.deepEqual(all.filter(p => p.canBeUpdated).map(p => p.name), [])
+    })
+
+    it('should not change anything when updating all plugins', async () => {
+      const before = (await framework.runCliCommand('getPluginUpdateInfos')).map(p => `${p.name}@${p.projectVersion}`)
+      const result = await framework.runCliCommand('updatePlugins', { plugins: [] })
+      assert.ok(Array.isArray(result), 'should return an array even with nothing to update')
+      const after = (await framework.runCliCommand('getPluginUpdateInfos')).map(p => `${p.name}@${p.projectVersion}`)
+      assert.deepEqual(after, before)
+    })
+
+    it('should only have looked plugins up in the stand-in registry', () => {
+      assert.ok(registry.requests.length > 0, 'the registry should have been used')
+      const unknown = registry.requests.filter(r => r.status !== 200).map(r => r.path)
+      assert.deepEqual(unknown, [], 'every lookup should be for a plugin the registry serves')
     })
   })
 })
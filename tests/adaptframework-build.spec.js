@@ -1,17 +1,40 @@
+// @tags slow, fixtures
+
 import { describe, it, before, after } from 'node:test'
 import assert from 'node:assert/strict'
 import fs from 'fs/promises'
 import { getApp, getModule, cleanDb } from '../lib/app.js'
+import { inspectBuild } from '../lib/buildoutput.js'
 import { getFixture } from '../lib/fixtures.js'
 
 let framework
+let content
 let courseId
 
+/**
+ * Checks that a build's config and content match the course in the database.
+ * @param {Object} build - See inspectBuild()
+ */
+async function assertBuildMatchesCourse (build) {
+  const items = await content.find({ _courseId: courseId })
+  const count = (...types) => items.filter(i => types.includes(i._type)).length
+  const config = items.find(i => i._type === 'config')
+  assert.deepEqual([...build.config._enabledPlugins].sort(), [...config._enabledPlugins].sort(), 'build should enable the same plugins as the course')
+
+  const lang = build.languages[build.config._defaultLanguage] ?? Object.values(build.languages)[0]
+  assert.ok(lang, 'build should contain course content')
+  assert.equal(lang.course.title, items.find(i => i._type === 'course').title)
+  assert.equal(lang.contentObjects.length, count('page', 'menu'), 'contentObjects count')
+  assert.equal(lang.articles.length, count('article'), 'articles count')
+  assert.equal(lang.blocks.length, count('block'), 'blocks count')
+  assert.equal(lang.components.length, count('component'), 'components count')
+}
+
 describe('AdaptFramework build', () => {
   before(async () => {
     await getApp()
     framework = await getModule('adaptframework')
-    await getModule('content')
+    content = await getModule('content')
 
     // Import a course to use as build input
     const fixturePath = await getFixture('course-export')
@@ -64,6 +87,18 @@ describe('AdaptFramework build', () => {
       const stat = await fs.stat(buildResult.buildData.location)
       assert.ok(stat.size > 1000, 'export zip should have substantial content')
     })
+
+    it('should contain the course content', async () => {
+      await assertBuildMatchesCourse(await inspectBuild(buildResult.buildData.location))
+    })
+
+    it('should bundle every enabled plugin', async () => {
+      const build = await inspectBuild(buildResult.buildData.location)
+      const bundled = build.plugins.map(p => p.name)
+      const missing = build.config._enabledPlugins.filter(name => !bundled.includes(name))
+      assert.deepEqual(missing, [], 'enabled plugins missing from the export')
+      for (const p of build.plugins) assert.ok(p.version, `${p.name} should have a version`)
+    })
   })
 
   describe('Preview', () => {
@@ -92,6 +127,16 @@ describe('AdaptFramework build', () => {
       const stat = await fs.stat(indexPath)
       assert.ok(stat.size > 0, 'index.html should exist and not be empty')
     })
+
+    it('should contain the course content', async () => {
+      await assertBuildMatchesCourse(await inspectBuild(buildResult.buildData.location))
+    })
+
+    it('should include the compiled scripts and styles', async () => {
+      const build = await inspectBuild(buildResult.buildData.location)
+      assert.ok(build.hasAdaptJs, 'adapt.min.js should exist')
+      assert.ok(build.hasCss, 'adapt.css should exist')
+    })
   })
 
   describe('Publish', () => {
@@ -116,5 +161,13 @@ describe('AdaptFramework build', () => {
     it('should have recorded build versions', async () => {
       assert.ok(buildResult.buildData.versions, 'buildData should include versions')
     })
+
+    it('should contain the course content and assets', async () => {
+      const build = await inspectBuild(buildResult.buildData.location)
+      await assertBuildMatchesCourse(build)
+      assert.ok(Object.values(build.assets).flat().length, 'publish build should include the course assets')
+      assert.ok(build.hasAdaptJs, 'adapt.min.js should exist')
+      assert.ok(build.hasCss, 'adapt.css should exist')
+    })
   })
 })
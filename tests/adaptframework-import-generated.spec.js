@@ -0,0 +1,92 @@
+// @tags smoke
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { getApp, getModule, cleanDb } from '../lib/app.js'
+import { createCourseExport, TINY_PNG } from '../lib/courseexport.js'
+
+let framework
+let content
+let tmpRoot
+
+describe('AdaptFramework import of a generated course', () => {
+  before(async () => {
+    await getApp()
+    framework = await getModule('adaptframework')
+    content = await getModule('content')
+    tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'aat-generated-'))
+  })
+
+  after(async () => {
+    await cleanDb()
+    await fs.rm(tmpRoot, { recursive: true, force: true })
+  })
+
+  describe('Course import from a generated zip', () => {
+    let summary
+
+    it('should import a generated course zip without errors', async () => {
+      const importPath = await createCourseExport({
+        title: 'Generated Course',
+        contentObjects: [
+          {
+            title: 'Page 1',
+            articles: [{
+              blocks: [
+                { components: [{ body: 'First component' }, { body: 'Second component', _layout: 'left' }] },
+                { components: [{ body: '<img src="course/en/assets/tiny.png">' }] }
+              ]
+            }]
+          },
+          { title: 'Page 2', articles: [{ blocks: [{ components: [{ body: 'Third page component' }] }] }] }
+        ],
+        assets: { 'tiny.png': TINY_PNG }
+      }, { dir: tmpRoot, zip: true })
+
+      const importer = await framework.importCourse({
+        importPath,
+        userId: '000000000000000000000000',
+        tags: [],
+        importContent: true,
+        importPlugins: true,
+        migrateContent: true,
+        updatePlugins: false,
+        removeSource: false
+      })
+      summary = importer.summary
+      assert.ok(summary, 'import should return a summary')
+      assert.ok(summary.courseId, 'summary should include a courseId')
+      assert.equal(summary.title, 'Generated Course')
+    })
+
+    it('should have created the described content', async () => {
+      const items = await content.find({ _courseId: summary.courseId })
+      const count = type => items.filter(i => i._type === type).length
+      assert.equal(count('course'), 1)
+      assert.equal(count('config'), 1)
+      assert.equal(count('page'), 2)
+      assert.equal(count('article'), 2)
+      assert.equal(count('block'), 3)
+      assert.equal(count('component'), 4)
+    })
+
+    it('should have preserved the content hierarchy', async () => {
+      const items = await content.find({ _courseId: summary.courseId })
+      const ids = new Set(items.map(i => i._id.toString()))
+      for (const item of items.filter(i => !['course', 'config'].includes(i._type))) {
+        assert.ok(ids.has(item._parentId?.toString()), `${item._type} "${item._id}" should have a valid _parentId`)
+      }
+      const pages = items.filter(i => i._type === 'page').sort((a, b) => a._sortOrder - b._sortOrder)
+      assert.deepEqual(pages.map(p => p.title), ['Page 1', 'Page 2'])
+    })
+
+    it('should have imported the asset', async () => {
+      const assets = await getModule('assets')
+      const [asset] = await assets.find({ filename: 'tiny.png' })
+      assert.ok(asset, 'asset should exist')
+    })
+  })
+})
@@ -1,9 +1,13 @@
+// @tags smoke
+
 import { describe, it, before, after } from 'node:test'
 import assert from 'node:assert/strict'
 import fs from 'fs/promises'
 import os from 'os'
 import path from 'path'
+import { assertRejectsWithCode } from '../lib/assert.js'
 import { getApp, getModule, cleanDb } from '../lib/app.js'
+import { createCourseExport, writeFiles } from '../lib/courseexport.js'
 
 let framework
 let tmpRoot
@@ -18,43 +22,6 @@ const defaultImportOptions = {
   removeSource: false
 }
 
-/**
- * Creates a temporary directory with the given file structure.
- * @param {Object} files - Map of relative paths to file contents (string or Buffer)
- * @returns {Promise<string>} Absolute path to the temp directory
- */
-async function createTempImport (files) {
-  const dir = await fs.mkdtemp(path.join(tmpRoot, 'import-'))
-  for (const [filePath, content] of Object.entries(files)) {
-    const fullPath = path.join(dir, filePath)
-    await fs.mkdir(path.dirname(fullPath), { recursive: true })
-    await fs.writeFile(fullPath, typeof content === 'string' ? content : content)
-  }
-  return dir
-}
-
-/**
- * Creates a valid base import structure that can be selectively broken.
- * @param {Object} overrides - Files to override or add
- * @param {string[]} remove - File paths to exclude from the base structure
- * @returns {Promise<string>}
- */
-async function createImportFrom (overrides = {}, remove = []) {
-  const base = {
-    'package.json': JSON.stringify({ name: 'adapt_framework', version: '5.32.2' }),
-    'src/course/config.json': JSON.stringify({ _defaultLanguage: 'en', _enabledPlugins: [] }),
-    'src/course/en/course.json': JSON.stringify({ _type: 'course', title: 'Test Course', _latestTrackingId: 0 }),
-    'src/course/en/contentObjects.json': '[]',
-    'src/course/en/articles.json': '[]',
-    'src/course/en/blocks.json': '[]',
-    'src/course/en/components.json': '[]'
-  }
-  for (const key of remove) {
-    delete base[key]
-  }
-  return createTempImport({ ...base, ...overrides })
-}
-
 describe('AdaptFramework invalid import', () => {
   before(async () => {
     await getApp()
@@ -69,151 +36,65 @@ describe('AdaptFramework invalid import', () => {
 
   describe('missing course directory', () => {
     it('should reject an import with no course directory', async () => {
-      const importPath = await createTempImport({
+      const importPath = await writeFiles({
         'package.json': JSON.stringify({ name: 'adapt_framework', version: '5.32.2' }),
         'src/readme.txt': 'no course here'
-      })
-      await assert.rejects(
-        () => framework.importCourse({ ...defaultImportOptions, importPath }),
-        (err) => {
-          assert.ok(
-            err.code === 'FW_IMPORT_INVALID_COURSE' || err.message?.includes('IMPORT_INVALID'),
-            `expected FW_IMPORT_INVALID_COURSE, got: ${err.code || err.message}`
-          )
-          return true
-        }
-      )
+      }, { dir: tmpRoot })
+      await assertRejectsWithCode(() => framework.importCourse({ ...defaultImportOptions, importPath }), 'FW_IMPORT_INVALID_COURSE')
     })
   })
 
   describe('missing config.json', () => {
     it('should reject an import with no config.json in the course directory', async () => {
-      const importPath = await createImportFrom({}, ['src/course/config.json'])
-      await assert.rejects(
-        () => framework.importCourse({ ...defaultImportOptions, importPath }),
-        (err) => {
-          assert.ok(
-            err.code === 'FW_IMPORT_INVALID_COURSE' || err.message?.includes('IMPORT_INVALID'),
-            `expected FW_IMPORT_INVALID_COURSE, got: ${err.code || err.message}`
-          )
-          return true
-        }
-      )
+      const importPath = await createCourseExport({ files: { 'src/course/config.json': null } }, { dir: tmpRoot })
+      await assertRejectsWithCode(() => framework.importCourse({ ...defaultImportOptions, importPath }), 'FW_IMPORT_INVALID_COURSE')
     })
   })
 
   describe('missing language directory', () => {
     it('should reject when the language directory does not exist', async () => {
-      const importPath = await createImportFrom(
-        { 'src/course/config.json': JSON.stringify({ _defaultLanguage: 'xx', _enabledPlugins: [] }) },
-        ['src/course/en/course.json', 'src/course/en/contentObjects.json', 'src/course/en/articles.json', 'src/course/en/blocks.json', 'src/course/en/components.json']
-      )
-      await assert.rejects(
-        () => framework.importCourse({ ...defaultImportOptions, importPath }),
-        (err) => {
-          assert.ok(
-            err.code === 'FW_IMPORT_INVALID_COURSE' || err.message?.includes('IMPORT_INVALID'),
-            `expected FW_IMPORT_INVALID_COURSE, got: ${err.code || err.message}`
-          )
-          return true
-        }
-      )
+      const importPath = await createCourseExport({ languages: [], config: { _defaultLanguage: 'xx' } }, { dir: tmpRoot })
+      await assertRejectsWithCode(() => framework.importCourse({ ...defaultImportOptions, importPath }), 'FW_IMPORT_INVALID_COURSE')
     })
   })
 
   describe('missing package.json', () => {
     it('should reject when package.json is missing', async () => {
-      const importPath = await createImportFrom({}, ['package.json'])
-      await assert.rejects(
-        () => framework.importCourse({ ...defaultImportOptions, importPath }),
-        (err) => {
-          assert.ok(
-            err.code === 'FW_IMPORT_INVALID' || err.message?.includes('IMPORT_INVALID'),
-            `expected FW_IMPORT_INVALID, got: ${err.code || err.message}`
-          )
-          return true
-        }
-      )
+      const importPath = await createCourseExport({ files: { 'package.json': null } }, { dir: tmpRoot })
+      await assertRejectsWithCode(() => framework.importCourse({ ...defaultImportOptions, importPath }), 'FW_IMPORT_INVALID')
     })
   })
 
   describe('malformed JSON', () => {
     it('should reject when config.json contains invalid JSON', async () => {
-      const importPath = await createImportFrom({
-        'src/course/config.json': '{ this is not valid json }'
-      })
-      await assert.rejects(
-        () => framework.importCourse({ ...defaultImportOptions, importPath }),
-        (err) => {
-          assert.ok(
-            err.code === 'FILE_SYNTAX_ERROR' || err.code === 'FW_IMPORT_INVALID_COURSE' || err.message?.includes('SYNTAX') || err.message?.includes('INVALID'),
-            `expected syntax or invalid course error, got: ${err.code || err.message}`
-          )
-          return true
-        }
-      )
+      const importPath = await createCourseExport({
+        files: { 'src/course/config.json': '{ this is not valid json }' }
+      }, { dir: tmpRoot })
+      await assertRejectsWithCode(() => framework.importCourse({ ...defaultImportOptions, importPath }), ['FILE_SYNTAX_ERROR', 'FW_IMPORT_INVALID_COURSE'])
     })
 
     it('should reject when package.json contains invalid JSON', async () => {
-      const importPath = await createImportFrom({
-        'package.json': '{ broken json !!!'
-      })
-      await assert.rejects(
-        () => framework.importCourse({ ...defaultImportOptions, importPath }),
-        (err) => {
-          assert.ok(
-            err.code === 'FW_IMPORT_INVALID' || err.code === 'FW_IMPORT_INVALID_COURSE' || err.message?.includes('IMPORT_INVALID'),
-            `expected FW_IMPORT_INVALID, got: ${err.code || err.message}`
-          )
-          return true
-        }
-      )
+      const importPath = await createCourseExport({
+        files: { 'package.json': '{ broken json !!!' }
+      }, { dir: tmpRoot })
+      await assertRejectsWithCode(() => framework.importCourse({ ...defaultImportOptions, importPath }), ['FW_IMPORT_INVALID', 'FW_IMPORT_INVALID_COURSE'])
     })
   })
 
   describe('incompatible framework version', () => {
     it('should reject when framework major version does not match and migrateContent is false', async () => {
-      const importPath = await createImportFrom({
-        'package.json': JSON.stringify({ name: 'adapt_framework', version: '1.0.0' })
-      })
-      await assert.rejects(
-        () => framework.importCourse({ ...defaultImportOptions, importPath, migrateContent: false }),
-        (err) => {
-          assert.ok(
-            err.code === 'FW_IMPORT_INCOMPAT' || err.message?.includes('IMPORT_INCOMPAT'),
-            `expected FW_IMPORT_INCOMPAT, got: ${err.code || err.message}`
-          )
-          return true
-        }
-      )
+      const importPath = await createCourseExport({ frameworkVersion: '1.0.0' }, { dir: tmpRoot })
+      await assertRejectsWithCode(() => framework.importCourse({ ...defaultImportOptions, importPath, migrateContent: false }), 'FW_IMPORT_INCOMPAT')
     })
   })
 
   describe('missing required parameters', () => {
     it('should reject when importPath is not provided', async () => {
-      await assert.rejects(
-        () => framework.importCourse({ userId: '000000000000000000000000' }),
-        (err) => {
-          assert.ok(
-            err.code === 'INVALID_PARAMS' || err.message?.includes('INVALID_PARAMS') || err.message?.includes('importPath'),
-            `expected INVALID_PARAMS, got: ${err.code || err.message}`
-          )
-          return true
-        }
-      )
+      await assertRejectsWithCode(() => framework.importCourse({ userId: '000000000000000000000000' }), 'INVALID_PARAMS')
     })
 
     it('should reject when userId is not provided', async () => {
-      await assert.rejects(
-        () => framework.importCourse({ importPath: '/tmp/fake-path' }),
-        (err) => {
-          assert.ok(
-            err.code === 'INVALID_PARAMS' || err.message?.includes('INVALID_PARAMS') || err.message?.includes('userId'),
-            `expected INVALID_PARAMS, got: ${err.code || err.message}`
-          )
-          return true
-        }
-      )
+      await assertRejectsWithCode(() => framework.importCourse({ importPath: '/tmp/fake-path' }), 'INVALID_PARAMS')
     })
   })
 
@@ -244,10 +125,10 @@ describe('AdaptFramework invalid import', () => {
   describe('no database side-effects on failed import', () => {
     it('should not leave content in the database after a failed import', async () => {
       const coursesBefore = await (await getModule('content')).find({ _type: 'course' })
-      const importPath = await createTempImport({
+      const importPath = await writeFiles({
         'package.json': JSON.stringify({ name: 'adapt_framework', version: '5.32.2' }),
         'src/readme.txt': 'no course here'
-      })
+      }, { dir: tmpRoot })
       try {
         await framework.importCourse({ ...defaultImportOptions, importPath })
       } catch {
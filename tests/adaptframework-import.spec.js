@@ -1,16 +1,33 @@
+// @tags slow, fixtures
+
 import { describe, it, before, after } from 'node:test'
 import assert from 'node:assert/strict'
 import { getApp, getModule, cleanDb } from '../lib/app.js'
-import { getFixture } from '../lib/fixtures.js'
+import { getFixture, getFixtureInfo } from '../lib/fixtures.js'
+import { assertCourseIntegrity } from '../lib/integrity.js'
+
+/**
+ * Content types counted by this spec, which the fixture's manifest entry must declare in `expects`
+ * @type {string[]}
+ */
+const EXPECTED_TYPES = ['course', 'config', 'page', 'menu', 'article', 'block', 'component']
 
 let framework
 let content
+let expects
 
 describe('AdaptFramework import', () => {
   before(async () => {
     await getApp()
     framework = await getModule('adaptframework')
     content = await getModule('content')
+    // earlier specs' cleanDb() empties contentplugins, which the integrity checks read to find installed plugins
+    await (await getModule('contentplugin')).syncPluginData()
+    expects = (await getFixtureInfo('course-export')).expects
+    const missing = EXPECTED_TYPES.filter(type => expects[type] === undefined)
+    if (missing.length) {
+      throw new Error(`The "course-export" fixture's manifest entry must declare "expects" counts for: ${missing.join(', ')}`)
+    }
   })
 
   after(async () => {
@@ -51,7 +68,8 @@ describe('AdaptFramework import', () => {
 
     it('should have created content objects', async () => {
       const items = await content.find({ _courseId: summary.courseId, _type: { $in: ['page', 'menu'] } })
-      assert.equal(items.length, 5, 'should have 5 content objects')
+      const count = expects.page + expects.menu
+      assert.equal(items.length, count, `should have ${count} content objects`)
       for (const item of items) {
         assert.ok(item.title, `${item._type} "${item._id}" should have a title`)
         assert.ok(item._parentId, `${item._type} "${item._id}" should have a _parentId`)
@@ -61,7 +79,7 @@ describe('AdaptFramework import', () => {
 
     it('should have created articles', async () => {
       const items = await content.find({ _courseId: summary.courseId, _type: 'article' })
-      assert.equal(items.length, 5, 'should have 5 articles')
+      assert.equal(items.length, expects.article, `should have ${expects.article} articles`)
       const pageIds = new Set(
         (await content.find({ _courseId: summary.courseId, _type: { $in: ['page', 'menu'] } }))
           .map(p => p._id.toString())
@@ -74,7 +92,7 @@ describe('AdaptFramework import', () => {
 
     it('should have created blocks', async () => {
       const items = await content.find({ _courseId: summary.courseId, _type: 'block' })
-      assert.equal(items.length, 23, 'should have 23 blocks')
+      assert.equal(items.length, expects.block, `should have ${expects.block} blocks`)
       const articleIds = new Set(
         (await content.find({ _courseId: summary.courseId, _type: 'article' }))
           .map(a => a._id.toString())
@@ -87,7 +105,7 @@ describe('AdaptFramework import', () => {
 
     it('should have created components', async () => {
       const items = await content.find({ _courseId: summary.courseId, _type: 'component' })
-      assert.equal(items.length, 23, 'should have 23 components')
+      assert.equal(items.length, expects.component, `should have ${expects.component} components`)
       const blockIds = new Set(
         (await content.find({ _courseId: summary.courseId, _type: 'block' }))
           .map(b => b._id.toString())
@@ -113,14 +131,15 @@ describe('AdaptFramework import', () => {
       }
     })
 
+    it('should pass a full integrity check', async () => {
+      await assertCourseIntegrity(summary.courseId)
+    })
+
     it('should report content counts in summary', async () => {
       assert.ok(summary.content, 'summary should include content counts')
-      assert.equal(summary.content.course, 1, 'should count 1 course')
-      assert.equal(summary.content.config, 1, 'should count 1 config')
-      assert.equal(summary.content.page, 5, 'should count 5 pages')
-      assert.equal(summary.content.article, 5, 'should count 5 articles')
-      assert.equal(summary.content.block, 23, 'should count 23 blocks')
-      assert.equal(summary.content.component, 23, 'should count 23 components')
+      for (const type of ['course', 'config', 'page', 'article', 'block', 'component']) {
+        assert.equal(summary.content[type], expects[type], `should count ${expects[type]} ${type}(s)`)
+      }
     })
 
     it('should report plugin versions in summary', async () => {
@@ -162,6 +181,11 @@ describe('AdaptFramework import', () => {
       const courses = await content.find({ _type: 'course' })
       assert.ok(courses.length >= 2, 'should have at least two courses')
     })
+
+    it('should leave both courses intact', async () => {
+      await assertCourseIntegrity(firstCourseId)
+      await assertCourseIntegrity(secondCourseId)
+    })
   })
 
   describe('Import without migration', () => {
@@ -178,8 +202,8 @@ describe('AdaptFramework import', () => {
       })
       const summary = importer.summary
       assert.ok(summary.courseId, 'should have created a course')
-      assert.equal(summary.content.course, 1, 'should count 1 course')
-      assert.equal(summary.content.component, 23, 'should count 23 components')
+      assert.equal(summary.content.course, expects.course, `should count ${expects.course} course`)
+      assert.equal(summary.content.component, expects.component, `should count ${expects.component} components`)
     })
   })
 
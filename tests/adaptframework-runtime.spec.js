@@ -0,0 +1,94 @@
+// @tags slow, fixtures
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { getApp, getModule, cleanDb } from '../lib/app.js'
+import { inspectBuild } from '../lib/buildoutput.js'
+import { getFixture } from '../lib/fixtures.js'
+import { loadPage, serveDirectory } from '../lib/runtime.js'
+
+const USER_ID = '000000000000000000000000'
+const COURSE_JSON = ['course', 'contentObjects', 'articles', 'blocks', 'components']
+
+let content
+let courseId
+let build
+let server
+let page
+
+/**
+ * Returns whether the course's title has been rendered into the page.
+ * @param {Window} window
+ * @returns {boolean}
+ */
+function hasRenderedTitle (window) {
+  const { course } = build.languages[build.config._defaultLanguage]
+  // titles can contain markup, so compare the text the page would show
+  const title = window.document.createElement('div')
+  title.innerHTML = course.displayTitle || course.title
+  return !!window.document.body?.textContent.includes(title.textContent.trim())
+}
+
+describe('Built course runtime', () => {
+  before(async () => {
+    await getApp()
+    const framework = await getModule('adaptframework')
+    content = await getModule('content')
+    const importer = await framework.importCourse({
+      importPath: await getFixture('course-export'),
+      userId: USER_ID,
+      tags: [],
+      importContent: true,
+      importPlugins: true,
+      migrateContent: true,
+      updatePlugins: false,
+      removeSource: false
+    })
+    courseId = importer.summary.courseId.toString()
+    const { buildData } = await framework.buildCourse({ action: 'preview', courseId, userId: USER_ID })
+    build = await inspectBuild(buildData.location)
+    server = await serveDirectory(buildData.location)
+    // the framework requests the content JSON once its scripts have loaded, then renders the course
+    page = await loadPage(server.url, {
+      waitFor: window => server.requests.some(r => r.path.endsWith('/components.json')) && hasRenderedTitle(window),
+      timeout: 60000
+    })
+  })
+
+  after(async () => {
+    page?.close()
+    await server?.close()
+    await cleanDb()
+  })
+
+  it('should load the course JSON', () => {
+    const loaded = server.requests.filter(r => r.status === 200).map(r => r.path)
+    assert.ok(loaded.includes('/course/config.json'), 'config.json should be requested')
+    const lang = build.config._defaultLanguage
+    for (const name of COURSE_JSON) {
+      assert.ok(loaded.includes(`/course/${lang}/${name}.json`), `${lang}/${name}.json should be requested`)
+    }
+    assert.equal(page.timedOut, false)
+  })
+
+  it('should render the course', () => {
+    assert.ok(hasRenderedTitle(page.window), 'the course title should appear in the page')
+  })
+
+  it('should have no script errors on load', () => {
+    assert.deepEqual(page.errors, [], `Errors:\n${page.errors.join('\n')}`)
+  })
+
+  it('should not request any missing files', () => {
+    const missing = server.requests.filter(r => r.status !== 200).map(r => `${r.status} ${r.path}`)
+    assert.deepEqual(missing, [], `Failed requests:\n${missing.join('\n')}`)
+  })
+
+  it('should include every page and component from the database', async () => {
+    const builtIds = new Set(Object.values(build.languages).flatMap(l => [...l.contentObjects, ...l.components]).map(i => i._id))
+    const items = await content.find({ _courseId: courseId, _type: { $in: ['page', 'menu', 'component'] } })
+    assert.ok(items.length, 'the course should have pages and components')
+    const missing = items.filter(i => !builtIds.has(i._friendlyId) && !builtIds.has(i._id.toString()))
+    assert.deepEqual(missing.map(i => `${i._type} "${i._id}"`), [], 'items missing from the built data')
+  })
+})
@@ -0,0 +1,102 @@
+// @tags smoke
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { getApp, cleanDb } from '../lib/app.js'
+import { createUser } from '../lib/factories.js'
+import { HttpClient, createClient, getBaseUrl } from '../lib/http.js'
+
+let user
+
+describe('Authenticated API requests', () => {
+  before(async () => {
+    await getApp()
+    user = await createUser({ firstName: 'Http', lastName: 'Tester' })
+  })
+
+  after(async () => {
+    await cleanDb(['users', 'authtokens'])
+  })
+
+  describe('Anonymous requests', () => {
+    it('should reject an anonymous request to a secured route', async () => {
+      const client = new HttpClient({ baseUrl: await getBaseUrl() })
+      const res = await client.get('/api/content')
+      assert.equal(res.status, 401)
+    })
+  })
+
+  describe('Session login', () => {
+    let client
+
+    before(async () => {
+      client = await createClient({ user })
+    })
+
+    it('should keep a session cookie after logging in', () => {
+      assert.ok(client.cookies.size > 0, 'login should set a session cookie')
+    })
+
+    it('should allow access to a secured route', async () => {
+      const res = await client.get('/api/content')
+      assert.equal(res.status, 200)
+      assert.ok(Array.isArray(res.body), 'should return a JSON array')
+    })
+
+    it('should return the logged in user from /api/users/me', async () => {
+      const res = await client.get('/api/users/me')
+      assert.equal(res.status, 200)
+      assert.equal(res.body.email, user.email)
+      assert.equal(res.body.password, undefined, 'password should not be returned')
+    })
+
+    it('should reject the old session cookie after logging out on the server', async () => {
+      const cookies = new Map(client.cookies)
+      const res = await client.disavow()
+      assert.ok(res.ok, `disavow should succeed, got ${res.status}`)
+      const reused = new HttpClient({ baseUrl: await getBaseUrl() })
+      for (const [name, value] of cookies) reused.cookies.set(name, value)
+      assert.equal((await reused.get('/api/content')).status, 401)
+    })
+
+    it('should send anonymous requests after the client logs out', async () => {
+      const anonymous = await createClient({ user })
+      anonymous.logout()
+      assert.equal((await anonymous.get('/api/content')).status, 401)
+    })
+  })
+
+  describe('Failed login', () => {
+    it('should reject an incorrect password', async () => {
+      await assert.rejects(
+        () => createClient({ user: { email: user.email, password: 'Wr0ngP@ssword!' } }),
+        /Login failed/
+      )
+    })
+  })
+
+  describe('Token authentication', () => {
+    it('should allow access with a generated token', async () => {
+      const client = await createClient({ tokenFor: user })
+      assert.ok(client.token, 'client should have a token')
+      const res = await client.get('/api/users/me')
+      assert.equal(res.status, 200)
+      assert.equal(res.body.email, user.email)
+    })
+
+    it('should reject a token once it has been revoked', async () => {
+      const client = await createClient({ tokenFor: user })
+      const { token } = client
+      const res = await client.disavow()
+      assert.ok(res.ok, `disavow should succeed, got ${res.status}`)
+      const reused = new HttpClient({ baseUrl: await getBaseUrl(), token })
+      assert.equal((await reused.get('/api/content')).status, 401)
+    })
+
+    it('should reject an invalid token', async () => {
+      const client = new HttpClient({ baseUrl: await getBaseUrl(), token: 'not-a-real-token' })
+      const res = await client.get('/api/content')
+      assert.equal(res.status, 401)
+    })
+  })
+})
@@ -0,0 +1,181 @@
+// @tags slow, fuzz
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { getApp, getModule, cleanDb, DEFAULT_CLEAN_COLLECTIONS } from '../lib/app.js'
+import { getErrorCodes } from '../lib/assert.js'
+import { createCourseHierarchy, createUser } from '../lib/factories.js'
+import { generateBoundary, generateInvalid, generateValid } from '../lib/fuzz.js'
+import { createClient } from '../lib/http.js'
+
+/**
+ * Modules whose records can't be written safely (deleting a plugin record uninstalls it)
+ * @type {string[]}
+ */
+const SKIP_MODULES = ['adapt-authoring-contentplugin']
+
+/**
+ * The type of each content item's parent
+ * @type {Object<string, string>}
+ */
+const PARENT_TYPES = { menu: 'course', page: 'course', article: 'page', block: 'article', component: 'block' }
+
+let client
+let hierarchy
+let results
+let untested
+const created = []
+
+/**
+ * Returns real values for the references in a schema's payloads, so that they don't point at
+ * documents which don't exist. Only the properties a schema requires are used.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function getReferences (schema) {
+  const parent = hierarchy[PARENT_TYPES[generateValid(schema)._type]] ?? hierarchy.course
+  return {
+    _courseId: hierarchy.courseId,
+    _parentId: parent._id.toString(),
+    _component: hierarchy.component._component
+  }
+}
+
+/**
+ * Formats results for an assertion message.
+ * @param {Array<Object>} list
+ * @returns {string}
+ */
+function describeResults (list) {
+  return list.map(r => `${r.method} ${r.path} [${r.kind}] ${r.name} => ${r.status}${r.reason ? `: ${r.reason}` : ''}`).join('\n')
+}
+
+/**
+ * Finds the schema-backed API modules and the default routes they expose.
+ * @returns {Promise<Array<Object>>}
+ */
+async function getTargets () {
+  const app = await getApp()
+  const jsonschema = await getModule('jsonschema')
+  const targets = []
+  for (const mod of Object.values(app.dependencyloader.instances)) {
+    if (!mod.schemaName || !mod.router || !mod.routes || SKIP_MODULES.includes(mod.name)) continue
+    let schema
+    try {
+      schema = (await jsonschema.getSchema(mod.schemaName)).built
+    } catch {
+      continue
+    }
+    const handlers = Object.fromEntries(mod.routes.map(r => [r.route, r.handlers ?? {}]))
+    targets.push({
+      path: mod.router.path,
+      schema,
+      post: !!handlers['/']?.post,
+      put: !!handlers['/:_id']?.put,
+      patch: !!handlers['/:_id']?.patch,
+      get: !!handlers['/:_id']?.get
+    })
+  }
+  return targets
+}
+
+/**
+ * Sends a fuzz case and records the result, checking that accepted payloads can be read back.
+ * @param {Object} target
+ * @param {string} method
+ * @param {string} path
+ * @param {string} kind - 'valid', 'boundary' or 'invalid'
+ * @param {Object} fuzzCase
+ * @returns {Promise<Object>} The result
+ */
+async function send (target, method, path, kind, { name, payload }) {
+  const res = await client.request(method, path, { body: payload })
+  const result = { method, path, kind, name, status: res.status, body: res.body }
+  results.push(result)
+  if (!res.ok || kind === 'invalid') return result
+
+  const id = res.body?._id ?? path.split('/').pop()
+  if (method === 'POST' && res.body?._id) created.push(`${target.path}/${id}`)
+  if (!target.get) return result
+  const { status, body } = await client.get(`${target.path}/${id}`)
+  const mismatched = Object.keys(payload).filter(k => body?.[k] !== undefined && JSON.stringify(body[k]) !== JSON.stringify(payload[k]))
+  if (status !== 200 || mismatched.length) {
+    result.roundTrip = { status, mismatched }
+  }
+  return result
+}
+
+describe('API schema fuzzing', () => {
+  before(async () => {
+    await getApp()
+    const user = await createUser({}, { roles: 'superuser' })
+    client = await createClient({ tokenFor: user })
+    hierarchy = await createCourseHierarchy({ createdBy: user._id.toString(), component: true })
+    results = []
+    untested = []
+    for (const target of await getTargets()) {
+      const values = getReferences(target.schema)
+      let docPath
+      if (target.post) {
+        const valid = await send(target, 'POST', target.path, 'valid', { name: 'required properties', payload: generateValid(target.schema, { values }) })
+        if (valid.status >= 200 && valid.status < 300 && valid.body?._id) docPath = `${target.path}/${valid.body._id}`
+        for (const c of generateBoundary(target.schema, { values })) await send(target, 'POST', target.path, 'boundary', c)
+        for (const c of generateInvalid(target.schema, { values })) await send(target, 'POST', target.path, 'invalid', c)
+      }
+      // a missing document is a 404 before the body is validated, so only update the fuzzer's own
+      if (!docPath) {
+        if (target.patch || target.put) untested.push(target.path)
+        continue
+      }
+      if (target.patch) {
+        for (const c of generateBoundary(target.schema, { values })) await send(target, 'PATCH', docPath, 'boundary', c)
+        for (const c of generateInvalid(target.schema, { partial: true, values })) await send(target, 'PATCH', docPath, 'invalid', c)
+      }
+      if (target.put) {
+        await send(target, 'PUT', docPath, 'valid', { name: 'required properties', payload: generateValid(target.schema, { values }) })
+        for (const c of generateInvalid(target.schema, { values })) await send(target, 'PUT', docPath, 'invalid', c)
+      }
+    }
+  })
+
+  after(async () => {
+    for (const path of created) await client.delete(path)
+    await cleanDb([...DEFAULT_CLEAN_COLLECTIONS, 'users', 'authtokens'])
+  })
+
+  it('should have fuzzed at least one route', () => {
+    assert.ok(results.length > 0, 'no schema-backed routes were found')
+  })
+
+  it('should send PATCH and PUT requests to a real document', () => {
+    assert.deepEqual(untested, [], 'no document could be created to update')
+  })
+
+  it('should never respond with a 5xx error', () => {
+    const failures = results.filter(r => r.status >= 500)
+    assert.deepEqual(failures.map(r => r.name), [], `Server errors:\n${describeResults(failures)}`)
+  })
+
+  it('should reject invalid payloads with a 4xx error and an error code', () => {
+    const failures = results
+      .filter(r => r.kind === 'invalid' && (r.status < 400 || r.status >= 500 || !getErrorCodes(r.body).length))
+      .map(r => ({ ...r, reason: r.status < 400 ? 'accepted' : 'no error code' }))
+    assert.deepEqual(failures.map(r => r.name), [], `Invalid payloads not rejected:\n${describeResults(failures)}`)
+  })
+
+  it('should accept every valid payload with a 2xx response', () => {
+    const valid = results.filter(r => r.kind === 'valid')
+    assert.ok(valid.length > 0, 'no valid payloads were sent')
+    const failures = valid
+      .filter(r => r.status < 200 || r.status >= 300)
+      .map(r => ({ ...r, reason: `rejected${getErrorCodes(r.body).length ? ` with ${getErrorCodes(r.body).join(', ')}` : ''}` }))
+    assert.deepEqual(failures.map(r => r.name), [], `Valid payloads not accepted:\n${describeResults(failures)}`)
+  })
+
+  it('should return accepted payloads unchanged from GET', () => {
+    const failures = results
+      .filter(r => r.roundTrip)
+      .map(r => ({ ...r, reason: r.roundTrip.status !== 200 ? `GET returned ${r.roundTrip.status}` : `changed: ${r.roundTrip.mismatched.join(', ')}` }))
+    assert.deepEqual(failures.map(r => r.name), [], `Accepted payloads which didn't round-trip:\n${describeResults(failures)}`)
+  })
+})
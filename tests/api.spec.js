@@ -1,6 +1,10 @@
+// @tags smoke
+
 import { describe, it, before } from 'node:test'
 import assert from 'node:assert/strict'
 import { getApp, getModule } from '../lib/app.js'
+import { getBaseUrl } from '../lib/http.js'
+import { resolveRoutePath } from '../lib/permissions.js'
 import { getAllRoutes } from 'adapt-authoring-server'
 
 let server
@@ -18,13 +22,11 @@ describe('API endpoint availability', () => {
   })
 
   it('should respond to every registered route (not 404)', async () => {
-    const url = server.url.startsWith('http') ? server.url : `http://${server.url}`
-    const baseUrl = url.replace(/\/$/, '')
+    const baseUrl = await getBaseUrl()
     const failures = []
 
     for (const [path, methods] of routeMap) {
-      // Replace :param and {param} style placeholders with a dummy ObjectId
-      const resolvedPath = path.replace(/[{]?:[^/}]+[}]?/g, '000000000000000000000000')
+      const resolvedPath = resolveRoutePath(path)
 
       for (const method of methods) {
         const url = `${baseUrl}${resolvedPath}`
@@ -0,0 +1,259 @@
+// @tags slow
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import bytes from 'bytes'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { assertRejectsWithCode } from '../lib/assert.js'
+import { getApp, getModule, cleanDb } from '../lib/app.js'
+import { createAsset, createUser, uniqueId } from '../lib/factories.js'
+import { createClient } from '../lib/http.js'
+import { createPdf, createPng, createSvg, createVideo, createWav, readPngSize } from '../lib/media.js'
+
+let assets
+let client
+const assetIds = new Set()
+const sourceDirs = []
+
+/**
+ * Uploads a file through the assets module, and deletes the asset after the suite.
+ * @param {string} filename
+ * @param {string|Buffer} contents
+ * @returns {Promise<Object>} The asset document
+ */
+async function upload (filename, contents) {
+  const asset = await createAsset({}, { filename, contents })
+  assetIds.add(asset._id.toString())
+  return asset
+}
+
+/**
+ * Writes a file where the assets module can take it from, in the shape of an upload (e.g. to
+ * replace an asset's file).
+ * @param {string} filename
+ * @param {string|Buffer} contents
+ * @returns {Promise<{ filepath: string, originalFilename: string, size: number }>}
+ */
+async function writeSource (filename, contents) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aat-asset-'))
+  sourceDirs.push(dir)
+  const filepath = path.join(dir, filename)
+  await fs.writeFile(filepath, contents)
+  return { filepath, originalFilename: filename, size: Buffer.byteLength(contents) }
+}
+
+/**
+ * Uploads a file through the API.
+ * @param {string} filename
+ * @param {string|Buffer} contents
+ * @param {string} type - MIME type of the file
+ * @returns {Promise<import('../lib/http.js').HttpResponse>}
+ */
+async function uploadViaApi (filename, contents, type) {
+  const form = new FormData()
+  form.append('title', `Upload ${uniqueId()}`)
+  form.append('file', new Blob([contents], { type }), filename)
+  const res = await client.post('/api/assets', form)
+  if (res.body?._id) assetIds.add(res.body._id)
+  return res
+}
+
+/**
+ * Checks that an upload was rejected with a particular error, and that nothing was stored.
+ * @param {import('../lib/http.js').HttpResponse} res
+ * @param {string} code - Error code (e.g. 'FILE_EXCEEDED_MAX_SIZE')
+ */
+function assertUploadRejected (res, code) {
+  const error = assets.app.errors[code]
+  assert.ok(error, `precondition: the app should define ${code}`)
+  assert.equal(res.status, error.statusCode)
+  assert.equal(res.body?.code, code)
+  assert.equal(res.body?._id, undefined, 'no asset should be created')
+}
+
+/**
+ * Returns whether a file exists.
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function exists (filePath) {
+  return fs.stat(filePath).then(() => true, () => false)
+}
+
+/**
+ * Returns where an asset's file and thumbnail should be on disk.
+ * @param {Object} asset
+ * @returns {{ file: string, thumb: string }}
+ */
+function getPaths (asset) {
+  const wrapper = assets.createFsWrapper(asset)
+  return { file: wrapper.path, thumb: wrapper.thumb.path }
+}
+
+describe('Asset lifecycle', () => {
+  before(async () => {
+    await getApp()
+    assets = await getModule('assets')
+    client = await createClient({ user: await createUser() })
+  })
+
+  after(async () => {
+    for (const _id of assetIds) {
+      if (await assets.findOne({ _id }, { strict: false })) await assets.delete({ _id })
+    }
+    for (const dir of sourceDirs) await fs.rm(dir, { recursive: true, force: true })
+    await cleanDb(['users', 'authtokens'])
+  })
+
+  describe('Uploading files', () => {
+    it('should store an image with its dimensions and a thumbnail', async () => {
+      const contents = createPng({ width: 64, height: 48 })
+      const asset = await upload('image.png', contents)
+      assert.equal(asset.type, 'image')
+      assert.equal(asset.subtype, 'png')
+      assert.equal(asset.size, contents.length)
+      assert.equal(asset.resolution, '64x48')
+      assert.equal(asset.hasThumb, true)
+
+      const { file, thumb } = getPaths(asset)
+      assert.equal(file, path.resolve(assets.getConfig('assetDir'), `${asset._id}.png`), 'the file should be named after the asset')
+      assert.deepEqual(await fs.readFile(file), contents)
+      assert.equal(thumb, path.resolve(assets.getConfig('thumbnailDir'), `${asset._id}${assets.getConfig('thumbnailExt')}`))
+      const { width, height } = readPngSize(await fs.readFile(thumb))
+      assert.equal(width, assets.getConfig('thumbnailWidth'), 'thumbnails should be scaled to the configured width')
+      assert.equal(height, Math.round(width * 48 / 64), 'thumbnails should keep the aspect ratio')
+    })
+
+    it('should store a video with its dimensions, duration and a thumbnail', async () => {
+      const contents = await createVideo({ width: 160, height: 120, seconds: 6, ffmpegPath: assets.getConfig('customFfmpegCommand') })
+      const asset = await upload('video.mp4', contents)
+      assert.equal(asset.type, 'video')
+      assert.equal(asset.subtype, 'mp4')
+      assert.equal(asset.size, contents.length)
+      assert.equal(asset.resolution, '160x120')
+      assert.equal(asset.duration, 6)
+      assert.equal(asset.hasThumb, true)
+      const { file, thumb } = getPaths(asset)
+      assert.ok(await exists(file), 'the video should be stored')
+      assert.equal(readPngSize(await fs.readFile(thumb)).width, assets.getConfig('thumbnailWidth'))
+    })
+
+    it('should store audio without a thumbnail', async () => {
+      const contents = createWav({ seconds: 1 })
+      const asset = await upload('audio.wav', contents)
+      assert.equal(asset.type, 'audio')
+      assert.equal(asset.subtype, 'wav')
+      assert.equal(asset.size, contents.length)
+      assert.equal(asset.hasThumb, false)
+      assert.equal(asset.resolution, undefined)
+      const { file, thumb } = getPaths(asset)
+      assert.deepEqual(await fs.readFile(file), contents)
+      assert.equal(await exists(thumb), false, 'audio should have no thumbnail')
+    })
+
+    it('should store an SVG without a thumbnail', async () => {
+      const asset = await upload('vector.svg', createSvg({ width: 20, height: 10 }))
+      assert.equal(asset.type, 'image')
+      assert.equal(asset.subtype, 'svg+xml')
+      assert.equal(asset.hasThumb, false)
+      assert.equal(await exists(getPaths(asset).thumb), false)
+    })
+
+    it('should store other files as they are', async () => {
+      const contents = createPdf(`Document ${uniqueId()}`)
+      const asset = await upload('document.pdf', contents)
+      assert.equal(asset.type, 'application')
+      assert.equal(asset.subtype, 'pdf')
+      assert.equal(asset.size, contents.length)
+      assert.equal(asset.hasThumb, false)
+      assert.deepEqual(await fs.readFile(getPaths(asset).file), contents)
+    })
+
+    it('should reject a file which duplicates an existing asset', async () => {
+      const contents = createPng({ width: 5, height: 5, color: [0, 128, 255] })
+      const original = await upload('original.png', contents)
+      await assertRejectsWithCode(() => upload('copy.png', contents), 'DUPLICATE_ASSET')
+      assert.equal((await assets.find({ hash: original.hash })).length, 1, 'no second asset should be stored')
+    })
+  })
+
+  describe('Uploading through the API', () => {
+    it('should store an uploaded image and serve it back', async () => {
+      const contents = createPng({ width: 30, height: 20, color: [0, 255, 0] })
+      const res = await uploadViaApi('api.png', contents, 'image/png')
+      assert.equal(res.status, 201)
+      assert.equal(res.body.resolution, '30x20')
+      assert.deepEqual(await fs.readFile(getPaths(res.body).file), contents)
+
+      const served = await client.get(`/api/assets/serve/${res.body._id}`)
+      assert.equal(served.status, 200)
+      assert.equal(served.headers.get('content-type'), 'image/png')
+      const thumb = await client.get(`/api/assets/serve/${res.body._id}`, { query: { thumb: 'true' } })
+      assert.equal(thumb.status, 200)
+    })
+
+    it('should reject a file type which isn\'t allowed', async () => {
+      assert.equal(assets.getConfig('expectedFileTypes').includes('text/plain'), false, 'precondition: text/plain should not be allowed')
+      const res = await uploadViaApi('notes.txt', `Notes ${uniqueId()}`, 'text/plain')
+      assertUploadRejected(res, 'UNEXPECTED_FILE_TYPES')
+    })
+
+    it('should reject a file over the size limit for its type', async () => {
+      // limits are byte strings like '2mb', but may already have been converted to numbers
+      const limit = bytes.parse(assets.getConfig('maxFileSizeByType').text)
+      assert.ok(limit > 0, 'precondition: text files should have a size limit')
+      const res = await uploadViaApi('large.html', Buffer.alloc(limit + 1, 'a'), 'text/html')
+      assertUploadRejected(res, 'FILE_EXCEEDED_MAX_SIZE')
+    })
+  })
+
+  describe('Replacing an asset\'s file', () => {
+    let asset
+    let oldPaths
+
+    before(async () => {
+      asset = await upload('replace.png', createPng({ width: 40, height: 40, color: [255, 255, 0] }))
+      oldPaths = getPaths(asset)
+    })
+
+    it('should update the metadata and thumbnail for a new image', async () => {
+      const contents = createPng({ width: 80, height: 20, color: [255, 0, 255] })
+      const updated = await assets.update({ _id: asset._id }, { file: await writeSource('replacement.png', contents) })
+      assert.equal(updated.resolution, '80x20')
+      assert.equal(updated.size, contents.length)
+      assert.notEqual(updated.hash, asset.hash)
+      assert.deepEqual(await fs.readFile(getPaths(updated).file), contents)
+      const { width, height } = readPngSize(await fs.readFile(getPaths(updated).thumb))
+      assert.equal(height, Math.round(width * 20 / 80), 'the thumbnail should be regenerated')
+      asset = updated
+    })
+
+    it('should remove the old file and thumbnail when the type changes', async () => {
+      const contents = createPdf(`Replacement ${uniqueId()}`)
+      const updated = await assets.update({ _id: asset._id }, { file: await writeSource('replacement.pdf', contents) })
+      assert.equal(updated.type, 'application')
+      assert.equal(updated.subtype, 'pdf')
+      assert.equal(updated.hasThumb, false)
+      const { file } = getPaths(updated)
+      assert.notEqual(file, oldPaths.file)
+      assert.deepEqual(await fs.readFile(file), contents)
+      assert.equal(await exists(oldPaths.file), false, 'the old file should be removed')
+      assert.equal(await exists(oldPaths.thumb), false, 'the old thumbnail should be removed')
+    })
+  })
+
+  describe('Deleting an asset', () => {
+    it('should remove the file and thumbnail from disk', async () => {
+      const asset = await upload('delete.png', createPng({ width: 12, height: 12, color: [10, 20, 30] }))
+      const { file, thumb } = getPaths(asset)
+      assert.ok(await exists(file) && await exists(thumb), 'precondition: the file and thumbnail should exist')
+      await assets.delete({ _id: asset._id })
+      assetIds.delete(asset._id.toString())
+      assert.equal(await exists(file), false, 'the file should be removed')
+      assert.equal(await exists(thumb), false, 'the thumbnail should be removed')
+      assert.equal(await assets.findOne({ _id: asset._id }, { strict: false }), null)
+    })
+  })
+})
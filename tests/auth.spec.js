@@ -1,5 +1,8 @@
+// @tags smoke
+
 import { describe, it, before, after } from 'node:test'
 import assert from 'node:assert/strict'
+import { assertRejectsWithCode } from '../lib/assert.js'
 import { getApp, getModule, cleanDb } from '../lib/app.js'
 import { AuthToken } from 'adapt-authoring-auth'
 import { PasswordUtils, compare } from 'adapt-authoring-auth-local'
@@ -80,21 +83,10 @@ describe('Authentication system', () => {
     })
 
     it('should reject a second super user registration with SUPER_USER_EXISTS', async () => {
-      await assert.rejects(
-        () => authLocal.registerSuper({
-          email: 'super2@example.com',
-          password: testPassword
-        }),
-        (err) => {
-          assert.ok(
-            err.code === 'SUPER_USER_EXISTS' || err.id === 'SUPER_USER_EXISTS' ||
-            (err.message && err.message.includes('SUPER_USER_EXISTS')) ||
-            (err.data && err.data.code === 'SUPER_USER_EXISTS'),
-            `expected SUPER_USER_EXISTS error, got: ${err.code || err.id || err.message}`
-          )
-          return true
-        }
-      )
+      await assertRejectsWithCode(() => authLocal.registerSuper({
+        email: 'super2@example.com',
+        password: testPassword
+      }), 'SUPER_USER_EXISTS')
     })
   })
 
@@ -293,17 +285,7 @@ describe('Authentication system', () => {
     it('should reject an expired token with AUTH_TOKEN_EXPIRED', async () => {
       const token = await AuthToken.generate('local', expiryUser, { lifespan: '1s' })
       await new Promise(resolve => setTimeout(resolve, 1500))
-      await assert.rejects(
-        () => AuthToken.decode(token),
-        (err) => {
-          assert.ok(
-            err.code === 'AUTH_TOKEN_EXPIRED' || err.id === 'AUTH_TOKEN_EXPIRED' ||
-            err.message?.includes('AUTH_TOKEN_EXPIRED'),
-            `expected AUTH_TOKEN_EXPIRED, got: ${err.code || err.id || err.message}`
-          )
-          return true
-        }
-      )
+      await assertRejectsWithCode(() => AuthToken.decode(token), 'AUTH_TOKEN_EXPIRED')
     })
 
     it('should revoke the expired token from the database', async () => {
@@ -318,17 +300,7 @@ describe('Authentication system', () => {
     it('should reject a token with an invalid signature', async () => {
       const token = await AuthToken.generate('local', expiryUser)
       const tampered = token.slice(0, -5) + 'xxxxx'
-      await assert.rejects(
-        () => AuthToken.decode(tampered),
-        (err) => {
-          assert.ok(
-            err.code === 'AUTH_TOKEN_INVALID' || err.id === 'AUTH_TOKEN_INVALID' ||
-            err.message?.includes('AUTH_TOKEN_INVALID'),
-            `expected AUTH_TOKEN_INVALID, got: ${err.code || err.id || err.message}`
-          )
-          return true
-        }
-      )
+      await assertRejectsWithCode(() => AuthToken.decode(tampered), 'AUTH_TOKEN_INVALID')
     })
   })
 
@@ -379,46 +351,17 @@ describe('Authentication system', () => {
     })
 
     it('should reject an invalid reset token', async () => {
-      await assert.rejects(
-        () => PasswordUtils.validateReset('nonexistent-token-12345'),
-        (err) => {
-          assert.ok(
-            err.code === 'AUTH_TOKEN_INVALID' || err.id === 'AUTH_TOKEN_INVALID' ||
-            err.message?.includes('AUTH_TOKEN_INVALID'),
-            `expected AUTH_TOKEN_INVALID, got: ${err.code || err.id || err.message}`
-          )
-          return true
-        }
-      )
+      await assertRejectsWithCode(() => PasswordUtils.validateReset('nonexistent-token-12345'), 'AUTH_TOKEN_INVALID')
     })
 
     it('should reject a missing reset token', async () => {
-      await assert.rejects(
-        () => PasswordUtils.validateReset(undefined),
-        (err) => {
-          assert.ok(
-            err.code === 'INVALID_PARAMS' || err.message?.includes('INVALID_PARAMS'),
-            `expected INVALID_PARAMS, got: ${err.code || err.message}`
-          )
-          return true
-        }
-      )
+      await assertRejectsWithCode(() => PasswordUtils.validateReset(undefined), 'INVALID_PARAMS')
     })
 
     it('should reject an expired reset token', async () => {
       const token = await PasswordUtils.createReset(resetEmail, 1) // 1ms lifespan
       await new Promise(resolve => setTimeout(resolve, 50))
-      await assert.rejects(
-        () => PasswordUtils.validateReset(token),
-        (err) => {
-          assert.ok(
-            err.code === 'AUTH_TOKEN_EXPIRED' || err.id === 'AUTH_TOKEN_EXPIRED' ||
-            err.message?.includes('AUTH_TOKEN_EXPIRED'),
-            `expected AUTH_TOKEN_EXPIRED, got: ${err.code || err.id || err.message}`
-          )
-          return true
-        }
-      )
+      await assertRejectsWithCode(() => PasswordUtils.validateReset(token), 'AUTH_TOKEN_EXPIRED')
     })
 
     it('should delete a reset token after use', async () => {
@@ -444,17 +387,7 @@ describe('Authentication system', () => {
         authType: 'oauth',
         isEnabled: true
       })
-      await assert.rejects(
-        () => PasswordUtils.createReset('oauth-user@example.com'),
-        (err) => {
-          assert.ok(
-            err.code === 'ACCOUNT_NOT_LOCALAUTHD' || err.id === 'ACCOUNT_NOT_LOCALAUTHD' ||
-            err.message?.includes('ACCOUNT_NOT_LOCALAUTHD'),
-            `expected ACCOUNT_NOT_LOCALAUTHD, got: ${err.code || err.id || err.message}`
-          )
-          return true
-        }
-      )
+      await assertRejectsWithCode(() => PasswordUtils.createReset('oauth-user@example.com'), 'ACCOUNT_NOT_LOCALAUTHD')
       await mongodb.delete('users', { email: 'oauth-user@example.com' })
     })
   })
@@ -1,5 +1,8 @@
+// @tags slow, fixtures
+
 import { describe, it, before, after } from 'node:test'
 import assert from 'node:assert/strict'
+import { assertRejectsWithCode } from '../lib/assert.js'
 import { getApp, getModule, cleanDb } from '../lib/app.js'
 import { getFixture } from '../lib/fixtures.js'
 
@@ -74,16 +77,7 @@ describe('Content asset tracking', () => {
       assert.ok(withAssets.length > 0, 'precondition: need content with _assetIds')
 
       const assetId = withAssets[0]._assetIds[0]
-      await assert.rejects(
-        () => assets.delete({ _id: assetId }),
-        (err) => {
-          assert.ok(
-            err.code === 'RESOURCE_IN_USE' || err.message?.includes('RESOURCE_IN_USE'),
-            `expected RESOURCE_IN_USE, got: ${err.code || err.message}`
-          )
-          return true
-        }
-      )
+      await assertRejectsWithCode(() => assets.delete({ _id: assetId }), 'RESOURCE_IN_USE')
     })
 
     it('should include course titles in the error data', async () => {
@@ -94,16 +88,12 @@ describe('Content asset tracking', () => {
       const [course] = await content.find({ _id: courseId })
       const expectedTitle = course.displayTitle || course.title
 
-      try {
-        await assets.delete({ _id: assetId })
-        assert.fail('should have thrown RESOURCE_IN_USE')
-      } catch (err) {
-        assert.ok(err.data?.courses, 'error should have courses in data')
-        assert.ok(
-          err.data.courses.includes(expectedTitle),
-          `error courses should include "${expectedTitle}"`
-        )
-      }
+      const err = await assertRejectsWithCode(() => assets.delete({ _id: assetId }), 'RESOURCE_IN_USE')
+      assert.ok(err.data?.courses, 'error should have courses in data')
+      assert.ok(
+        err.data.courses.includes(expectedTitle),
+        `error courses should include "${expectedTitle}"`
+      )
     })
 
     it('should allow deletion after content references are removed', async () => {
@@ -1,41 +1,15 @@
+// @tags smoke
+
 import { describe, it, before, after } from 'node:test'
 import assert from 'node:assert/strict'
 import { getApp, getModule, cleanDb } from '../lib/app.js'
+import { createArticle, createCourseHierarchy } from '../lib/factories.js'
+import { assertCourseIntegrity } from '../lib/integrity.js'
 
 let content
 let authLocal
 let createdBy
 
-// ---------------------------------------------------------------------------
-// Helper: build a course with a full content hierarchy for testing
-// ---------------------------------------------------------------------------
-async function createCourseHierarchy (opts = {}) {
-  const v = false
-  const cid = (id) => id.toString()
-  const course = await content.insert(
-    { _type: 'course', title: opts.title || 'Test Course', createdBy },
-    { validate: v, schemaName: 'course' }
-  )
-  const courseId = cid(course._id)
-  const config = await content.insert(
-    { _type: 'config', _courseId: courseId, createdBy, _enabledPlugins: [], _menu: '', _theme: '' },
-    { validate: v, schemaName: 'config' }
-  )
-  const page = await content.insert(
-    { _type: 'page', title: 'Page', _parentId: courseId, _courseId: courseId, createdBy },
-    { validate: v, schemaName: 'contentobject' }
-  )
-  const article = await content.insert(
-    { _type: 'article', title: 'Article', _parentId: cid(page._id), _courseId: courseId, createdBy },
-    { validate: v, schemaName: 'article' }
-  )
-  const block = await content.insert(
-    { _type: 'block', title: 'Block', _parentId: cid(article._id), _courseId: courseId, createdBy },
-    { validate: v, schemaName: 'block' }
-  )
-  return { course, config, page, article, block, courseId }
-}
-
 describe('Content CRUD operations', () => {
   before(async () => {
     await getApp()
@@ -207,7 +181,7 @@ describe('Content CRUD operations', () => {
     })
 
     it('should delete all descendants when deleting a parent', async () => {
-      const { course, page, article, block, courseId } = await createCourseHierarchy()
+      const { course, page, article, block, courseId } = await createCourseHierarchy({ createdBy })
 
       await content.delete({ _id: page._id })
 
@@ -217,10 +191,11 @@ describe('Content CRUD operations', () => {
       assert.ok(!remainingIds.includes(article._id.toString()), 'article should be deleted')
       assert.ok(!remainingIds.includes(block._id.toString()), 'block should be deleted')
       assert.ok(remainingIds.includes(course._id.toString()), 'course should remain')
+      await assertCourseIntegrity(courseId)
     })
 
     it('should include config when deleting a course', async () => {
-      const { course, courseId } = await createCourseHierarchy()
+      const { course, courseId } = await createCourseHierarchy({ createdBy })
 
       await content.delete({ _id: course._id })
 
@@ -234,7 +209,7 @@ describe('Content CRUD operations', () => {
   // ---------------------------------------------------------------------------
   describe('Clone', () => {
     it('should recursively clone a subtree', async () => {
-      const { page, courseId } = await createCourseHierarchy()
+      const { page, courseId } = await createCourseHierarchy({ createdBy })
 
       const cloned = await content.clone(createdBy, page._id, page._parentId)
 
@@ -250,10 +225,11 @@ describe('Content CRUD operations', () => {
       const clonedBlocks = await content.find({ _parentId: clonedChildren[0]._id })
       assert.equal(clonedBlocks.length, 1, 'cloned article should have 1 block child')
       assert.equal(clonedBlocks[0]._type, 'block')
+      await assertCourseIntegrity(courseId)
     })
 
     it('should clone a full course with config', async () => {
-      const { course } = await createCourseHierarchy()
+      const { course } = await createCourseHierarchy({ createdBy })
 
       const clonedCourse = await content.clone(createdBy, course._id)
 
@@ -266,10 +242,12 @@ describe('Content CRUD operations', () => {
       assert.ok(types.includes('page'), 'cloned course should have a page')
       assert.ok(types.includes('article'), 'cloned course should have an article')
       assert.ok(types.includes('block'), 'cloned course should have a block')
+      await assertCourseIntegrity(clonedCourse._id)
+      await assertCourseIntegrity(course._id)
     })
 
     it('should set createdBy on cloned items', async () => {
-      const { page, courseId } = await createCourseHierarchy()
+      const { page, courseId } = await createCourseHierarchy({ createdBy })
 
       const cloned = await content.clone(createdBy, page._id, page._parentId)
 
@@ -285,17 +263,11 @@ describe('Content CRUD operations', () => {
   // ---------------------------------------------------------------------------
   describe('Sort order', () => {
     it('should assign _sortOrder to siblings on insert', async () => {
-      const { page, courseId } = await createCourseHierarchy()
+      const { page } = await createCourseHierarchy({ createdBy })
       const pageId = page._id.toString()
 
-      await content.insert(
-        { _type: 'article', title: 'A1', _parentId: pageId, _courseId: courseId, createdBy },
-        { validate: false, schemaName: 'article' }
-      )
-      await content.insert(
-        { _type: 'article', title: 'A2', _parentId: pageId, _courseId: courseId, createdBy },
-        { validate: false, schemaName: 'article' }
-      )
+      await createArticle(page, { title: 'A1' })
+      await createArticle(page, { title: 'A2' })
 
       const articles = await content.find(
         { _parentId: pageId, _type: 'article' },
@@ -309,17 +281,11 @@ describe('Content CRUD operations', () => {
     })
 
     it('should recalculate sort order after deleting a sibling', async () => {
-      const { page, courseId } = await createCourseHierarchy()
+      const { page } = await createCourseHierarchy({ createdBy })
       const pageId = page._id.toString()
 
-      const a1 = await content.insert(
-        { _type: 'article', title: 'A1', _parentId: pageId, _courseId: courseId, createdBy },
-        { validate: false, schemaName: 'article' }
-      )
-      await content.insert(
-        { _type: 'article', title: 'A2', _parentId: pageId, _courseId: courseId, createdBy },
-        { validate: false, schemaName: 'article' }
-      )
+      const a1 = await createArticle(page, { title: 'A1' })
+      await createArticle(page, { title: 'A2' })
 
       // Delete the first extra article (there's also the one from createCourseHierarchy)
       await content.delete({ _id: a1._id })
@@ -340,7 +306,7 @@ describe('Content CRUD operations', () => {
   // ---------------------------------------------------------------------------
   describe('Delete return value', () => {
     it('should return array of target and all deleted descendants', async () => {
-      const { page, article, block } = await createCourseHierarchy()
+      const { page, article, block } = await createCourseHierarchy({ createdBy })
 
       const result = await content.delete({ _id: page._id })
 
@@ -353,7 +319,7 @@ describe('Content CRUD operations', () => {
     })
 
     it('should return target as first element', async () => {
-      const { page } = await createCourseHierarchy()
+      const { page } = await createCourseHierarchy({ createdBy })
 
       const result = await content.delete({ _id: page._id })
 
@@ -385,7 +351,7 @@ describe('Content CRUD operations', () => {
     })
 
     it('should resolve _courseId from DB when not provided', async () => {
-      const { article } = await createCourseHierarchy()
+      const { article } = await createCourseHierarchy({ createdBy })
       const schema = await content.getSchema('content', { _id: article._id })
       assert.ok(schema, 'should return a schema even when _courseId is not provided')
     })
@@ -410,7 +376,7 @@ describe('Content CRUD operations', () => {
     }
 
     it('should return projected items for a course', async () => {
-      const { courseId } = await createCourseHierarchy()
+      const { courseId } = await createCourseHierarchy({ createdBy })
       const items = await getTree(courseId)
       assert.ok(items.length >= 5, 'should return course + config + page + article + block')
       const types = items.map(i => i._type)
@@ -422,7 +388,7 @@ describe('Content CRUD operations', () => {
     })
 
     it('should only include projected fields plus _children', async () => {
-      const { courseId } = await createCourseHierarchy()
+      const { courseId } = await createCourseHierarchy({ createdBy })
       const items = await getTree(courseId)
       for (const item of items) {
         assert.ok(item._id, 'should have _id')
@@ -434,7 +400,7 @@ describe('Content CRUD operations', () => {
     })
 
     it('should include _children IDs for parent items', async () => {
-      const { course, page, article, courseId } = await createCourseHierarchy()
+      const { course, page, article, courseId } = await createCourseHierarchy({ createdBy })
       const items = await getTree(courseId)
       const courseItem = items.find(i => i._id.toString() === course._id.toString())
       assert.ok(courseItem._children.length >= 1, 'course should have children')
@@ -450,14 +416,14 @@ describe('Content CRUD operations', () => {
     })
 
     it('should have empty _children for leaf items', async () => {
-      const { block, courseId } = await createCourseHierarchy()
+      const { block, courseId } = await createCourseHierarchy({ createdBy })
       const items = await getTree(courseId)
       const blockItem = items.find(i => i._id.toString() === block._id.toString())
       assert.deepEqual(blockItem._children, [], 'block should have no children')
     })
 
     it('should include updatedAt on all items', async () => {
-      const { courseId } = await createCourseHierarchy()
+      const { courseId } = await createCourseHierarchy({ createdBy })
       const items = await getTree(courseId)
       for (const item of items) {
         assert.ok(item.updatedAt, `${item._type} should have updatedAt`)
@@ -465,7 +431,7 @@ describe('Content CRUD operations', () => {
     })
 
     it('should provide course updatedAt for conditional request support', async () => {
-      const { course, article } = await createCourseHierarchy()
+      const { course, article } = await createCourseHierarchy({ createdBy })
 
       const courseBefore = await content.findOne(
         { _type: 'course', _courseId: course._id },
@@ -502,7 +468,7 @@ describe('Content CRUD operations', () => {
   // ---------------------------------------------------------------------------
   describe('Course timestamp', () => {
     it('should update course updatedAt when a child item is modified', async () => {
-      const { course, article } = await createCourseHierarchy()
+      const { course, article } = await createCourseHierarchy({ createdBy })
 
       const courseBefore = await content.findOne({ _id: course._id })
       const beforeTimestamp = courseBefore.updatedAt
@@ -524,7 +490,7 @@ describe('Content CRUD operations', () => {
     })
 
     it('should update course updatedAt when a child item is deleted', async () => {
-      const { course, block } = await createCourseHierarchy()
+      const { course, block } = await createCourseHierarchy({ createdBy })
 
       const courseBefore = await content.findOne({ _id: course._id })
       const beforeTimestamp = courseBefore.updatedAt
@@ -553,7 +519,7 @@ describe('Content CRUD operations', () => {
     })
 
     it('should reject clone with invalid parent', async () => {
-      const { block } = await createCourseHierarchy()
+      const { block } = await createCourseHierarchy({ createdBy })
       await assert.rejects(
         () => content.clone(createdBy, block._id, 'aaaabbbbccccddddeeee0000'),
         (err) => err.code !== undefined
@@ -0,0 +1,215 @@
+// @tags slow
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import path from 'path'
+import { assertRejectsWithCode } from '../lib/assert.js'
+import { getApp, getModule, cleanDb, restoreDb } from '../lib/app.js'
+import { createComponent, createCourseHierarchy, createUser, uniqueId } from '../lib/factories.js'
+import { createPluginPackage, getPluginShortName } from '../lib/pluginpackage.js'
+import { useRegistry } from '../lib/registry.js'
+
+// also served by the registry stand-in, at 1.0.0, 1.1.0 and 2.0.0
+const REGISTRY_PLUGIN = 'adapt-test-component'
+
+let contentplugin
+let content
+let framework
+let jsonschema
+let registry
+let createdBy
+const packages = []
+const pluginNames = new Set([REGISTRY_PLUGIN])
+
+/**
+ * Returns a plugin name which won't collide with other runs.
+ * @param {string} prefix
+ * @returns {string}
+ */
+function uniquePluginName (prefix) {
+  return `adapt-${prefix}-${uniqueId().replace(/[^a-z0-9]/gi, '')}`
+}
+
+/**
+ * Generates a plugin package as a zip, and removes it after the suite.
+ * @param {import('../lib/pluginpackage.js').PluginDescription} description
+ * @param {Object} [options] - Passed to createPluginPackage()
+ * @returns {Promise<string>} Path to the zip
+ */
+async function createZip (description, options) {
+  const zipPath = await createPluginPackage(description, { zip: true, ...options })
+  packages.push(path.dirname(zipPath))
+  pluginNames.add(description.name)
+  return zipPath
+}
+
+/**
+ * Returns a plugin's database record.
+ * @param {string} name
+ * @returns {Promise<Object|undefined>}
+ */
+async function getRecord (name) {
+  const [record] = await contentplugin.find({ name })
+  return record
+}
+
+/**
+ * Returns adapt-cli's view of a plugin installed in the framework.
+ * @param {string} name
+ * @returns {Promise<Object|undefined>}
+ */
+async function getInstalled (name) {
+  const [plugin] = await framework.runCliCommand('getPluginUpdateInfos', { plugins: [name] })
+  return plugin
+}
+
+describe('Local plugin installs', () => {
+  before(async () => {
+    await getApp()
+    contentplugin = await getModule('contentplugin')
+    content = await getModule('content')
+    framework = await getModule('adaptframework')
+    jsonschema = await getModule('jsonschema')
+    await restoreDb()
+    registry = await useRegistry(framework.path, { plugins: [REGISTRY_PLUGIN] })
+    createdBy = (await createUser())._id.toString()
+  })
+
+  after(async () => {
+    await cleanDb(['content', 'users', 'authtokens'])
+    for (const name of pluginNames) {
+      const record = await getRecord(name)
+      if (record) await contentplugin.delete({ _id: record._id })
+      if (await getInstalled(name)) await framework.runCliCommand('uninstallPlugins', { plugins: [name] })
+    }
+    for (const dir of packages) await fs.rm(dir, { recursive: true, force: true })
+    await registry.close()
+  })
+
+  describe('Installing a component zip', () => {
+    const name = uniquePluginName('local')
+    const schemaName = `${getPluginShortName(name)}-component`
+    let record
+    let courseId
+
+    before(async () => {
+      const zipPath = await createZip({
+        name,
+        version: '1.2.3',
+        displayName: 'Local component',
+        properties: { _localSetting: { type: 'string', title: 'Local setting', default: 'local' } }
+      })
+      record = await contentplugin.installPlugin(name, zipPath)
+    })
+
+    it('should return the new record', () => {
+      assert.equal(record.name, name)
+      assert.equal(record.version, '1.2.3')
+    })
+
+    it('should store the plugin as a local install', async () => {
+      const stored = await getRecord(name)
+      assert.ok(stored, 'the plugin should be in the database')
+      assert.equal(stored.isLocalInstall, true)
+      assert.equal(stored.type, 'component')
+      assert.equal(stored.displayName, 'Local component')
+      assert.equal(stored.targetAttribute, `_${getPluginShortName(name)}`)
+    })
+
+    it('should install the plugin into the framework from its local source', async () => {
+      const installed = await getInstalled(name)
+      assert.ok(installed, 'the framework should have the plugin')
+      assert.equal(installed.projectVersion, '1.2.3')
+      assert.equal(installed.isLocalSource, true)
+    })
+
+    it('should register the plugin schemas', async () => {
+      assert.deepEqual(contentplugin.getPluginSchemas(name), [schemaName])
+      assert.equal(contentplugin.isPluginSchema(schemaName), true)
+      const schema = await jsonschema.getSchema(schemaName)
+      assert.equal(schema.built.properties._localSetting?.default, 'local')
+    })
+
+    it('should validate content using the plugin', async () => {
+      const { block, course } = await createCourseHierarchy({ createdBy, config: { _enabledPlugins: [name] } })
+      courseId = course._id
+      const component = await createComponent(block, { _component: name, _localSetting: 'set', createdBy }, { validate: true })
+      assert.equal(component._localSetting, 'set')
+      await assertRejectsWithCode(
+        () => createComponent(block, { _component: name, _localSetting: 1, createdBy }, { validate: true }),
+        'VALIDATION_FAILED'
+      )
+    })
+
+    it('should not be deleted while a course uses it', async () => {
+      await assertRejectsWithCode(() => contentplugin.delete({ _id: record._id }), 'CONTENTPLUGIN_IN_USE')
+    })
+
+    it('should delete the plugin once no course uses it', async () => {
+      await content.delete({ _id: courseId })
+      await contentplugin.delete({ _id: record._id })
+      assert.equal(await getRecord(name), undefined, 'the record should be removed')
+      assert.equal(await getInstalled(name), undefined, 'the framework should no longer have the plugin')
+      assert.equal(contentplugin.isPluginSchema(schemaName), undefined, 'the schema should be deregistered')
+      assert.deepEqual(contentplugin.getPluginSchemas(name), [])
+    })
+  })
+
+  describe('Installing other package layouts', () => {
+    it('should install an extension with a legacy properties.schema', async () => {
+      const name = uniquePluginName('legacy')
+      const zipPath = await createZip({ name, type: 'extension', schemaFormat: 'legacy', properties: { _isEnabled: { type: 'boolean', default: false } } })
+      await contentplugin.installPlugin(name, zipPath)
+      const stored = await getRecord(name)
+      assert.equal(stored?.type, 'extension')
+      assert.equal(stored.isLocalInstall, true)
+    })
+
+    it('should install a zip with a top-level folder and both manifests', async () => {
+      const name = uniquePluginName('folder')
+      const zipPath = await createZip({ name, type: 'extension', manifest: 'both' }, { folder: `${name}-master` })
+      await contentplugin.installPlugin(name, zipPath)
+      assert.equal((await getRecord(name))?.isLocalInstall, true)
+      assert.equal((await getInstalled(name))?.projectVersion, '1.0.0')
+    })
+
+    it('should reject a package without a manifest', async () => {
+      const name = uniquePluginName('broken')
+      const zipPath = await createZip({ name, files: { 'bower.json': null } })
+      await assert.rejects(contentplugin.installPlugin(name, zipPath))
+      assert.equal(await getRecord(name), undefined, 'nothing should be stored')
+      assert.equal(await getInstalled(name), undefined, 'nothing should be installed')
+    })
+  })
+
+  describe('Name collisions with registry plugins', () => {
+    before(async () => {
+      await contentplugin.installPlugin(REGISTRY_PLUGIN, '1.0.0')
+    })
+
+    it('should reject a local package with the same name and version', async () => {
+      const zipPath = await createZip({ name: REGISTRY_PLUGIN, version: '1.0.0' })
+      await assertRejectsWithCode(() => contentplugin.installPlugin(REGISTRY_PLUGIN, zipPath), 'CONTENTPLUGIN_ALREADY_EXISTS')
+      const stored = await getRecord(REGISTRY_PLUGIN)
+      assert.equal(stored.version, '1.0.0')
+      assert.equal(stored.isLocalInstall, false, 'the registry install should be kept')
+    })
+
+    it('should replace the registry plugin with a newer local package', async () => {
+      const zipPath = await createZip({ name: REGISTRY_PLUGIN, version: '3.0.0' })
+      await contentplugin.installPlugin(REGISTRY_PLUGIN, zipPath)
+      const stored = await getRecord(REGISTRY_PLUGIN)
+      assert.equal(stored.version, '3.0.0')
+      assert.equal(stored.isLocalInstall, true)
+      const installed = await getInstalled(REGISTRY_PLUGIN)
+      assert.equal(installed.projectVersion, '3.0.0')
+      assert.equal(installed.isLocalSource, true)
+    })
+
+    it('should not offer registry versions as updates to the local plugin', async () => {
+      const [stored] = await contentplugin.find({ name: REGISTRY_PLUGIN }, { includeUpdateInfo: true })
+      assert.equal(stored.canBeUpdated, false)
+    })
+  })
+})
@@ -0,0 +1,175 @@
+// @tags slow
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { assertRejectsWithCode } from '../lib/assert.js'
+import { getApp, getModule, cleanDb, restoreDb } from '../lib/app.js'
+import { createComponent, createCourseHierarchy, createUser } from '../lib/factories.js'
+import { useRegistry } from '../lib/registry.js'
+
+// served by the registry stand-in: 1.1.0 adds _testOption to the schema, 2.0.0 needs a newer framework
+const TEST_PLUGIN = 'adapt-test-component'
+
+let contentplugin
+let content
+let framework
+let jsonschema
+let registry
+let createdBy
+let course
+let componentWithOption
+
+/**
+ * Returns the test plugin's database record, with update info.
+ * @returns {Promise<Object|undefined>}
+ */
+async function getRecord () {
+  const [record] = await contentplugin.find({ name: TEST_PLUGIN }, { includeUpdateInfo: true })
+  return record
+}
+
+/**
+ * Returns the version of the test plugin installed in the framework.
+ * @returns {Promise<string|undefined>}
+ */
+async function getInstalledVersion () {
+  const [plugin] = await framework.runCliCommand('getPluginUpdateInfos', { plugins: [TEST_PLUGIN] })
+  return plugin?.projectVersion ?? undefined
+}
+
+/**
+ * Returns the properties of the test plugin's built schemas.
+ * @returns {Promise<Object>}
+ */
+async function getSchemaProperties () {
+  const properties = {}
+  for (const name of contentplugin.getPluginSchemas(TEST_PLUGIN)) {
+    Object.assign(properties, (await jsonschema.getSchema(name)).built.properties)
+  }
+  return properties
+}
+
+/**
+ * Saves each of the course's content items unchanged, so that they're validated against the
+ * currently registered schemas.
+ * @returns {Promise<void>}
+ */
+async function revalidateCourse () {
+  const items = await content.find({ _courseId: course.courseId })
+  assert.ok(items.length > 0, 'the course should have content')
+  for (const item of items) {
+    await content.update({ _id: item._id }, { title: item.title })
+  }
+}
+
+describe('Plugin upgrades and downgrades', () => {
+  before(async () => {
+    await getApp()
+    contentplugin = await getModule('contentplugin')
+    content = await getModule('content')
+    framework = await getModule('adaptframework')
+    jsonschema = await getModule('jsonschema')
+    await restoreDb()
+    registry = await useRegistry(framework.path, { plugins: [TEST_PLUGIN] })
+    createdBy = (await createUser())._id.toString()
+  })
+
+  after(async () => {
+    await cleanDb(['content', 'users', 'authtokens'])
+    const record = await getRecord()
+    if (record) await contentplugin.delete({ _id: record._id })
+    if (await getInstalledVersion()) await framework.runCliCommand('uninstallPlugins', { plugins: [TEST_PLUGIN] })
+    await registry.close()
+  })
+
+  describe('Installing version 1.0.0', () => {
+    before(async () => {
+      await contentplugin.installPlugin(TEST_PLUGIN, '1.0.0')
+      course = await createCourseHierarchy({ createdBy, config: { _enabledPlugins: [TEST_PLUGIN] } })
+      course.component = await createComponent(course.block, { _component: TEST_PLUGIN, createdBy }, { validate: true })
+    })
+
+    it('should install and record the requested version', async () => {
+      assert.equal(await getInstalledVersion(), '1.0.0')
+      assert.equal((await getRecord()).version, '1.0.0')
+    })
+
+    it('should register the plugin schemas', async () => {
+      assert.ok(contentplugin.getPluginSchemas(TEST_PLUGIN).length > 0, 'should have registered schemas')
+      assert.equal((await getSchemaProperties())._testOption, undefined, '1.0.0 has no _testOption')
+    })
+
+    it('should report that the plugin can be updated', async () => {
+      assert.equal((await getRecord()).canBeUpdated, true)
+    })
+
+    it('should be used by the course', async () => {
+      const uses = await contentplugin.getPluginUses((await getRecord())._id.toString())
+      assert.deepEqual(uses.map(c => c._id.toString()), [course.courseId])
+    })
+  })
+
+  describe('Upgrading to 1.1.0', () => {
+    let updated
+
+    before(async () => {
+      updated = await contentplugin.updatePlugin((await getRecord())._id)
+    })
+
+    it('should update to the latest framework-compatible version', async () => {
+      assert.equal(updated.version, '1.1.0', '2.0.0 needs a newer framework')
+      assert.equal(await getInstalledVersion(), '1.1.0')
+      assert.equal((await getRecord()).version, '1.1.0')
+    })
+
+    it('should re-register the plugin schemas', async () => {
+      assert.equal((await getSchemaProperties())._testOption?.default, 'default', 'the 1.1.0 schema should be in use')
+    })
+
+    it('should no longer report that the plugin can be updated', async () => {
+      assert.equal((await getRecord()).canBeUpdated, false)
+    })
+
+    it('should keep existing content valid', async () => {
+      await revalidateCourse()
+    })
+
+    it('should accept content using the new schema', async () => {
+      componentWithOption = await createComponent(course.block, { _component: TEST_PLUGIN, _testOption: 'changed', createdBy }, { validate: true })
+      assert.equal(componentWithOption._testOption, 'changed')
+    })
+  })
+
+  describe('Downgrading to 1.0.0', () => {
+    it('should reject installing an older version', async () => {
+      await assertRejectsWithCode(() => contentplugin.installPlugin(TEST_PLUGIN, '1.0.0'), 'CONTENTPLUGIN_ALREADY_EXISTS')
+    })
+
+    it('should leave the installed version unchanged', async () => {
+      assert.equal(await getInstalledVersion(), '1.1.0')
+      assert.equal((await getRecord()).version, '1.1.0')
+      assert.equal((await getSchemaProperties())._testOption?.default, 'default')
+    })
+
+    it('should downgrade when forced', async () => {
+      await contentplugin.installPlugin(TEST_PLUGIN, '1.0.0', { force: true })
+      assert.equal(await getInstalledVersion(), '1.0.0')
+      const record = await getRecord()
+      assert.equal(record.version, '1.0.0')
+      assert.equal(record.canBeUpdated, true)
+      assert.equal((await getSchemaProperties())._testOption, undefined, 'the 1.0.0 schema should be in use')
+    })
+
+    // content saved with 1.1.0's _testOption should still validate, with the value ignored
+    // rather than lost, so that upgrading again picks it back up
+    it('should keep existing content valid after a forced downgrade, including properties only 1.1.0 has', async () => {
+      assert.ok(componentWithOption, 'precondition: a component should have been saved with _testOption')
+      await revalidateCourse()
+    })
+
+    it('should keep the values of properties only 1.1.0 has', async () => {
+      const [component] = await content.find({ _id: componentWithOption._id })
+      assert.equal(component._testOption, 'changed')
+    })
+  })
+})
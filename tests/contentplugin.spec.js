@@ -1,9 +1,12 @@
+// @tags slow, network
+
 import { describe, it, before, after } from 'node:test'
 import assert from 'node:assert/strict'
-import { getApp, getModule, cleanDb } from '../lib/app.js'
+import { assertRejectsWithCode } from '../lib/assert.js'
+import { getApp, getModule, cleanDb, restoreDb } from '../lib/app.js'
+import { createConfig, createCourse } from '../lib/factories.js'
 
 let contentplugin
-let content
 let framework
 let authLocal
 let createdBy
@@ -12,11 +15,12 @@ describe('ContentPlugin module', () => {
   before(async () => {
     await getApp()
     contentplugin = await getModule('contentplugin')
-    content = await getModule('content')
     framework = await getModule('adaptframework')
     authLocal = await getModule('auth-local')
-    // Earlier test suites call cleanDb() which wipes the contentplugins collection,
-    // so re-sync to repopulate it
+    // Earlier test suites call cleanDb() which wipes the contentplugins collection, and
+    // others install or remove plugins after boot, so put back the boot records (e.g. roles)
+    // and then re-sync the plugins from the framework on disk
+    await restoreDb()
     await contentplugin.syncPluginData()
     const user = await authLocal.register({
       email: 'contentplugin-test@example.com',
@@ -156,22 +160,8 @@ describe('ContentPlugin module', () => {
       pluginId = testPlugin._id.toString()
 
       // Create a course with the plugin enabled
-      const v = false
-      const course = await content.insert(
-        { _type: 'course', title: 'Uses Test Course', createdBy },
-        { validate: v, schemaName: 'course' }
-      )
-      await content.insert(
-        {
-          _type: 'config',
-          _courseId: course._id,
-          createdBy,
-          _enabledPlugins: [testPlugin.name],
-          _menu: '',
-          _theme: ''
-        },
-        { validate: v, schemaName: 'config', updateEnabledPlugins: false }
-      )
+      const course = await createCourse({ title: 'Uses Test Course', createdBy })
+      await createConfig(course, { _enabledPlugins: [testPlugin.name] })
     })
 
     it('should return courses using the plugin', async () => {
@@ -253,33 +243,10 @@ describe('ContentPlugin module', () => {
       const usedPlugin = plugins[0]
 
       // Create a course that uses this plugin
-      const v = false
-      const course = await content.insert(
-        { _type: 'course', title: 'Delete Block Course', createdBy },
-        { validate: v, schemaName: 'course' }
-      )
-      await content.insert(
-        {
-          _type: 'config',
-          _courseId: course._id,
-          createdBy,
-          _enabledPlugins: [usedPlugin.name],
-          _menu: '',
-          _theme: ''
-        },
-        { validate: v, schemaName: 'config', updateEnabledPlugins: false }
-      )
+      const course = await createCourse({ title: 'Delete Block Course', createdBy })
+      await createConfig(course, { _enabledPlugins: [usedPlugin.name] })
 
-      await assert.rejects(
-        () => contentplugin.delete({ _id: usedPlugin._id }),
-        (err) => {
-          assert.ok(
-            err.code === 'CONTENTPLUGIN_IN_USE' || err.id === 'CONTENTPLUGIN_IN_USE',
-            `expected CONTENTPLUGIN_IN_USE, got: ${err.code || err.id || err.message}`
-          )
-          return true
-        }
-      )
+      await assertRejectsWithCode(() => contentplugin.delete({ _id: usedPlugin._id }), 'CONTENTPLUGIN_IN_USE')
     })
 
     it('should deregister schemas when a plugin is deleted', async () => {
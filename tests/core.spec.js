@@ -1,3 +1,5 @@
+// @tags smoke
+
 import { describe, it, before } from 'node:test'
 import assert from 'node:assert/strict'
 import { getApp } from '../lib/app.js'
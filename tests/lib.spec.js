@@ -1,8 +1,36 @@
-import { describe, it } from 'node:test'
+// @tags smoke
+
+import { describe, it, before, after } from 'node:test'
 import assert from 'node:assert/strict'
+import { execFileSync } from 'child_process'
+import fs from 'fs/promises'
+import http from 'http'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+import { DEFAULT_CLEAN_COLLECTIONS, restoreDb } from '../lib/app.js'
+import { assertRejectsWithCode, errorHasCode } from '../lib/assert.js'
+import { inspectBuild } from '../lib/buildoutput.js'
+import { diffCourseItems } from '../lib/compare.js'
+import { DEFAULT_FRAMEWORK_VERSION, TINY_PNG, applyFileOverrides, buildCourseFiles, createCourseExport, writeFiles } from '../lib/courseexport.js'
+import { dropTestDb, getWorkerConnectionUri } from '../lib/db.js'
+import { getParentWiring, uniqueId } from '../lib/factories.js'
+import { getFixture, getFixtureInfo, getManifest, hashFile, listFixtures, resetManifest, verifyFixtures } from '../lib/fixtures.js'
+import { generateBoundary, generateInvalid, generateValid, getWritableProperties } from '../lib/fuzz.js'
+import { HttpClient } from '../lib/http.js'
+import { findIntegrityProblems } from '../lib/integrity.js'
+import { findLeaks, formatLeaks, getBaselineCounts, readLeaks } from '../lib/leaks.js'
+import { createPdf, createPng, createSvg, createWav, readPngSize } from '../lib/media.js'
+import { createMigrationScaffold, getMigrationFilename } from '../lib/migrations.js'
+import { formatMatrix, getExpectedAccess, isExpectedStatus, isUnsafeRoute, resolveRoutePath } from '../lib/permissions.js'
+import { buildPluginFiles, createPluginPackage, getPluginShortName } from '../lib/pluginpackage.js'
+import { getInstalledPluginDirs, readRegistryFixtures, startRegistry, useRegistry } from '../lib/registry.js'
+import { toJUnitXml, toJsonSummary } from '../lib/reporter.js'
+import { loadPage, serveDirectory } from '../lib/runtime.js'
+import { SUITES, filterSpecsByTags, formatSummary, getEntrySource, getSpecTags, parseRunnerArgs, resolveSpecFiles, shardSpecs } from '../lib/runner.js'
 
-import { DEFAULT_CLEAN_COLLECTIONS } from '../lib/app.js'
-import { dropTestDb } from '../lib/db.js'
+const testsDir = path.dirname(fileURLToPath(import.meta.url))
 
 // ---------------------------------------------------------------------------
 // DEFAULT_CLEAN_COLLECTIONS
@@ -26,6 +54,12 @@ describe('DEFAULT_CLEAN_COLLECTIONS', () => {
   })
 })
 
+describe('restoreDb()', () => {
+  it('should reject an unknown snapshot name', async () => {
+    await assert.rejects(() => restoreDb('never-taken'), /No database snapshot named "never-taken"/)
+  })
+})
+
 // ---------------------------------------------------------------------------
 // dropTestDb
 // ---------------------------------------------------------------------------
@@ -41,3 +75,1179 @@ describe('dropTestDb()', () => {
     assert.equal(dropTestDb.length, 0) // default param, so length is 0
   })
 })
+
+// ---------------------------------------------------------------------------
+// getWorkerConnectionUri
+// ---------------------------------------------------------------------------
+describe('getWorkerConnectionUri()', () => {
+  it('should suffix the database name with the worker number', () => {
+    assert.equal(
+      getWorkerConnectionUri('mongodb://0.0.0.0/adapt-authoring-test', 2),
+      'mongodb://0.0.0.0/adapt-authoring-test-w2'
+    )
+  })
+
+  it('should preserve query options and multiple hosts', () => {
+    assert.equal(
+      getWorkerConnectionUri('mongodb://a:27017,b:27017/aat?replicaSet=rs0', 1),
+      'mongodb://a:27017,b:27017/aat-w1?replicaSet=rs0'
+    )
+  })
+
+  it('should fall back to the driver default database name', () => {
+    assert.equal(getWorkerConnectionUri('mongodb://localhost', 1), 'mongodb://localhost/test-w1')
+  })
+
+  it('should throw for an unparseable URI', () => {
+    assert.throws(() => getWorkerConnectionUri('not-a-uri', 1))
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Runner arguments
+// ---------------------------------------------------------------------------
+describe('parseRunnerArgs()', () => {
+  it('should treat positional arguments as spec names', () => {
+    const args = parseRunnerArgs(['auth', 'content'])
+    assert.deepEqual(args.specs, ['auth', 'content'])
+    assert.deepEqual(args.suites, [])
+  })
+
+  it('should map --<name>-only flags to suites', () => {
+    assert.deepEqual(parseRunnerArgs(['--import-only']).suites, ['import'])
+    assert.deepEqual(parseRunnerArgs(['--build-only']).suites, ['build'])
+  })
+
+  it('should accept repeated --suite options without duplicates', () => {
+    const args = parseRunnerArgs(['--suite', 'auth', '-s', 'plugins', '--auth-only'])
+    assert.deepEqual(args.suites, ['auth', 'plugins'])
+  })
+
+  it('should reject an unknown suite', () => {
+    assert.throws(() => parseRunnerArgs(['--suite', 'nope']), /Unknown suite: nope/)
+  })
+
+  it('should split comma-separated tags', () => {
+    const args = parseRunnerArgs(['--tag', 'smoke,fast', '-x', 'slow', '--exclude-tag', 'network'])
+    assert.deepEqual(args.tags, ['smoke', 'fast'])
+    assert.deepEqual(args.excludeTags, ['slow', 'network'])
+  })
+
+  it('should parse --isolate', () => {
+    assert.equal(parseRunnerArgs([]).isolate, false)
+    assert.equal(parseRunnerArgs(['--isolate']).isolate, true)
+  })
+
+  it('should parse --parallel as a positive integer', () => {
+    assert.equal(parseRunnerArgs([]).parallel, 1)
+    assert.equal(parseRunnerArgs(['--parallel', '4']).parallel, 4)
+    assert.throws(() => parseRunnerArgs(['--parallel', '0']), /Invalid --parallel value/)
+    assert.throws(() => parseRunnerArgs(['-p', 'two']), /Invalid --parallel value/)
+  })
+
+  it('should parse --verify-fixtures', () => {
+    assert.equal(parseRunnerArgs([]).verifyFixtures, false)
+    assert.equal(parseRunnerArgs(['--verify-fixtures']).verifyFixtures, true)
+  })
+
+  it('should parse leak detection options', () => {
+    assert.deepEqual([parseRunnerArgs([]).detectLeaks, parseRunnerArgs([]).strictLeaks], [false, false])
+    assert.deepEqual([parseRunnerArgs(['--detect-leaks']).detectLeaks, parseRunnerArgs(['--detect-leaks']).strictLeaks], [true, false])
+    assert.deepEqual([parseRunnerArgs(['--strict-leaks']).detectLeaks, parseRunnerArgs(['--strict-leaks']).strictLeaks], [true, true])
+  })
+
+  it('should parse reporters and default the report directory', () => {
+    const args = parseRunnerArgs(['--reporter', 'junit'])
+    assert.deepEqual(args.reporters, ['junit'])
+    assert.equal(args.reportDir, path.resolve('test-reports'))
+    assert.equal(parseRunnerArgs([]).reportDir, undefined)
+  })
+
+  it('should enable every reporter when only --report-dir is given', () => {
+    const args = parseRunnerArgs(['--report-dir', 'out'])
+    assert.deepEqual(args.reporters, ['junit', 'json'])
+    assert.equal(args.reportDir, path.resolve('out'))
+  })
+
+  it('should reject an unknown reporter', () => {
+    assert.throws(() => parseRunnerArgs(['-r', 'html']), /Unknown reporter: html/)
+  })
+
+  it('should reject an unknown option', () => {
+    assert.throws(() => parseRunnerArgs(['--nope']))
+  })
+})
+
+describe('resolveSpecFiles()', () => {
+  it('should only reference specs that exist', () => {
+    for (const [name, specs] of Object.entries(SUITES)) {
+      assert.doesNotThrow(() => resolveSpecFiles(testsDir, { specs }), `suite "${name}" references a missing spec`)
+    }
+  })
+
+  it('should return every spec when nothing is selected', () => {
+    const files = resolveSpecFiles(testsDir)
+    assert.ok(files.includes(path.join(testsDir, 'lib.spec.js')))
+  })
+
+  it('should expand suites and de-duplicate specs', () => {
+    const files = resolveSpecFiles(testsDir, { specs: ['auth'], suites: ['auth'] })
+    assert.deepEqual(files.map(f => path.basename(f)), ['auth.spec.js', 'api-auth.spec.js', 'permissions.spec.js', 'roles.spec.js', 'users.spec.js'])
+  })
+
+  it('should throw for a missing spec', () => {
+    assert.throws(() => resolveSpecFiles(testsDir, { specs: ['nope'] }), /Test not found: nope/)
+  })
+})
+
+describe('Spec tags', () => {
+  const spec = name => path.join(testsDir, `${name}.spec.js`)
+
+  it('should read tags from the leading comment block', () => {
+    assert.deepEqual(getSpecTags(spec('contentplugin')), ['slow', 'network'])
+  })
+
+  it('should keep specs matching any included tag', () => {
+    const files = filterSpecsByTags([spec('lib'), spec('contentplugin')], { tags: ['smoke'] })
+    assert.deepEqual(files, [spec('lib')])
+  })
+
+  it('should drop specs matching any excluded tag', () => {
+    const files = filterSpecsByTags([spec('lib'), spec('contentplugin')], { excludeTags: ['network'] })
+    assert.deepEqual(files, [spec('lib')])
+  })
+
+  it('should return every spec when no tags are given', () => {
+    const files = [spec('lib'), spec('contentplugin')]
+    assert.deepEqual(filterSpecsByTags(files), files)
+  })
+})
+
+describe('shardSpecs()', () => {
+  it('should distribute specs round-robin', () => {
+    assert.deepEqual(shardSpecs(['a', 'b', 'c', 'd', 'e'], 2), [['a', 'c', 'e'], ['b', 'd']])
+  })
+
+  it('should not return empty shards', () => {
+    assert.deepEqual(shardSpecs(['a'], 3), [['a']])
+  })
+
+  it('should keep grouped specs on one shard', () => {
+    const files = ['a', 'b', 'c', 'd', 'e'].map(n => `/t/${n}.spec.js`)
+    assert.deepEqual(shardSpecs(files, 2, { groups: [['b', 'd']] }), [
+      ['/t/a.spec.js', '/t/c.spec.js'],
+      ['/t/b.spec.js', '/t/d.spec.js', '/t/e.spec.js']
+    ])
+  })
+
+  it('should keep the plugin, import and build specs together by default', () => {
+    const serial = [...new Set([...SUITES.plugins, ...SUITES.import, ...SUITES.build])]
+    const files = ['api', 'core', 'users', ...serial].map(n => `/t/${n}.spec.js`)
+    const shards = shardSpecs(files, 3)
+    const serialShards = shards.filter(s => s.some(f => serial.includes(path.basename(f, '.spec.js'))))
+    assert.equal(serialShards.length, 1)
+    assert.equal(serialShards[0].filter(f => serial.includes(path.basename(f, '.spec.js'))).length, serial.length)
+  })
+})
+
+describe('formatSummary()', () => {
+  it('should list each spec with its result and count the totals', () => {
+    const summary = formatSummary([
+      { name: 'a.spec.js', code: 0, duration: 1500 },
+      { name: 'b.spec.js', code: 1, duration: 200 }
+    ])
+    assert.match(summary, /pass {2}a\.spec\.js \(1\.5s\)/)
+    assert.match(summary, /FAIL {2}b\.spec\.js \(0\.2s\)/)
+    assert.match(summary, /1 passed, 1 failed/)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Reports
+// ---------------------------------------------------------------------------
+describe('Reports', () => {
+  const results = [
+    { suite: 'Auth > Tokens', name: 'should decode', file: '/x/tests/auth.spec.js', duration: 12, status: 'passed' },
+    { suite: 'Auth > Tokens', name: 'should <reject>', file: '/x/tests/auth.spec.js', duration: 3, status: 'failed', failure: { message: 'expected "a" & "b"' } },
+    { suite: 'Client', name: 'should skip', file: '/c/tests/client.spec.js', custom: true, duration: 0, status: 'skipped' }
+  ]
+
+  it('should write one JUnit testsuite per spec file', () => {
+    const xml = toJUnitXml(results)
+    assert.match(xml, /<testsuites [^>]*tests="3" failures="1" skipped="1"/)
+    assert.match(xml, /<testsuite name="auth\.spec\.js" file="\/x\/tests\/auth\.spec\.js" tests="2" failures="1"/)
+    assert.match(xml, /<testsuite name="custom\/client\.spec\.js"/)
+    assert.match(xml, /<testcase classname="Client" name="should skip" [^>]*>\s*<skipped\/>/)
+  })
+
+  it('should escape XML in names and failure messages', () => {
+    const xml = toJUnitXml(results)
+    assert.match(xml, /name="should &lt;reject&gt;"/)
+    assert.match(xml, /<failure message="expected &quot;a&quot; &amp; &quot;b&quot;">/)
+  })
+
+  it('should summarise results as JSON', () => {
+    const summary = toJsonSummary(results)
+    assert.equal(summary.total, 3)
+    assert.equal(summary.passed, 1)
+    assert.equal(summary.failed, 1)
+    assert.equal(summary.skipped, 1)
+    assert.deepEqual(summary.tests[1], {
+      spec: 'auth.spec.js',
+      suite: 'Auth > Tokens',
+      name: 'should <reject>',
+      file: '/x/tests/auth.spec.js',
+      custom: false,
+      duration: 3,
+      status: 'failed',
+      failure: 'expected "a" & "b"'
+    })
+    assert.equal(summary.tests[2].custom, true)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Fixture manifest
+// ---------------------------------------------------------------------------
+describe('Fixture manifest', () => {
+  const originalCustomDir = process.env.CUSTOM_DIR
+  let customDir
+
+  async function writeManifest (data) {
+    await fs.writeFile(path.join(customDir, 'fixtures', 'manifest.json'), JSON.stringify(data))
+    resetManifest()
+  }
+
+  before(async () => {
+    customDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aat-lib-fixtures-'))
+    await fs.mkdir(path.join(customDir, 'fixtures'))
+    process.env.CUSTOM_DIR = customDir
+  })
+
+  after(async () => {
+    if (originalCustomDir === undefined) delete process.env.CUSTOM_DIR
+    else process.env.CUSTOM_DIR = originalCustomDir
+    resetManifest()
+    await fs.rm(customDir, { recursive: true, force: true })
+  })
+
+  it('should normalise string entries', async () => {
+    await writeManifest({ '__lib-plain': 'plain.zip' })
+    assert.deepEqual(await getFixtureInfo('__lib-plain'), {
+      key: '__lib-plain',
+      file: 'plain.zip',
+      description: undefined,
+      frameworkVersion: undefined,
+      sha256: undefined,
+      expects: {},
+      tags: []
+    })
+  })
+
+  it('should accept object entries with metadata', async () => {
+    await writeManifest({
+      '__lib-rich': {
+        file: 'rich.zip',
+        description: 'Rich fixture',
+        frameworkVersion: '5.32.2',
+        expects: { page: 2, component: 7 },
+        tags: ['import']
+      }
+    })
+    const info = await getFixtureInfo('__lib-rich')
+    assert.equal(info.file, 'rich.zip')
+    assert.equal(info.frameworkVersion, '5.32.2')
+    assert.deepEqual(info.expects, { page: 2, component: 7 })
+    assert.equal((await getManifest())['__lib-rich'], 'rich.zip', 'getManifest() should still map keys to filenames')
+  })
+
+  it('should filter fixtures by tag', async () => {
+    await writeManifest({
+      '__lib-a': { file: 'a.zip', tags: ['import'] },
+      '__lib-b': 'b.zip'
+    })
+    const keys = (await listFixtures({ tag: 'import' })).map(f => f.key)
+    assert.ok(keys.includes('__lib-a'))
+    assert.ok(!keys.includes('__lib-b'))
+  })
+
+  it('should reject entries without a file', async () => {
+    await writeManifest({ '__lib-bad': { description: 'no file' } })
+    await assert.rejects(() => getManifest(), /Invalid fixture "__lib-bad".*"file"/)
+  })
+
+  it('should reject non-numeric expectations', async () => {
+    await writeManifest({ '__lib-bad': { file: 'x.zip', expects: { page: 'five' } } })
+    await assert.rejects(() => getManifest(), /"expects"/)
+  })
+
+  it('should reject a malformed sha256', async () => {
+    await writeManifest({ '__lib-bad': { file: 'x.zip', sha256: 'abc' } })
+    await assert.rejects(() => getManifest(), /"sha256"/)
+  })
+
+  describe('integrity checks', () => {
+    let sha256
+
+    before(async () => {
+      const filePath = path.join(customDir, 'fixtures', 'good.zip')
+      await fs.writeFile(filePath, 'fixture contents')
+      sha256 = await hashFile(filePath)
+    })
+
+    it('should copy a fixture whose checksum matches', async () => {
+      await writeManifest({ '__lib-good': { file: 'good.zip', sha256 } })
+      const copy = await getFixture('__lib-good')
+      assert.equal(await fs.readFile(copy, 'utf8'), 'fixture contents')
+    })
+
+    it('should reject a fixture whose checksum does not match', async () => {
+      await writeManifest({ '__lib-corrupt': { file: 'good.zip', sha256: '0'.repeat(64) } })
+      await assert.rejects(() => getFixture('__lib-corrupt'), /failed integrity check/)
+    })
+
+    it('should report every missing or mismatched fixture', async () => {
+      await writeManifest({
+        '__lib-good': { file: 'good.zip', sha256 },
+        '__lib-corrupt': { file: 'good.zip', sha256: '0'.repeat(64) },
+        '__lib-missing': 'missing.zip'
+      })
+      const { checked, problems } = await verifyFixtures()
+      assert.ok(checked.includes('__lib-good'))
+      const byKey = Object.fromEntries(problems.map(p => [p.key, p]))
+      assert.equal(byKey['__lib-good'], undefined)
+      assert.equal(byKey['__lib-corrupt'].reason, 'checksum mismatch')
+      assert.equal(byKey['__lib-corrupt'].actual, sha256)
+      assert.equal(byKey['__lib-missing'].reason, 'missing')
+    })
+  })
+})
+
+describe('Course export generator', () => {
+  const parse = (files, filePath) => JSON.parse(files[filePath])
+  let tmpDir
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aat-lib-'))
+  })
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should build a minimal export by default', () => {
+    const files = buildCourseFiles()
+    assert.deepEqual(parse(files, 'package.json'), { name: 'adapt_framework', version: DEFAULT_FRAMEWORK_VERSION })
+    assert.equal(parse(files, 'src/course/config.json')._defaultLanguage, 'en')
+    assert.equal(parse(files, 'src/course/en/course.json')._type, 'course')
+    for (const name of ['contentObjects', 'articles', 'blocks', 'components']) {
+      assert.deepEqual(parse(files, `src/course/en/${name}.json`), [])
+    }
+  })
+
+  it('should assign ids and parents from the content tree', () => {
+    const files = buildCourseFiles({
+      contentObjects: [
+        { _type: 'menu', title: 'Menu', contentObjects: [{ title: 'Page', articles: [{ blocks: [{ components: [{}, { _component: 'graphic' }] }] }] }] }
+      ]
+    })
+    const [menu, page] = parse(files, 'src/course/en/contentObjects.json')
+    const [article] = parse(files, 'src/course/en/articles.json')
+    const [block] = parse(files, 'src/course/en/blocks.json')
+    const components = parse(files, 'src/course/en/components.json')
+    assert.equal(menu._parentId, 'course')
+    assert.equal(page._parentId, menu._id)
+    assert.equal(page._type, 'page')
+    assert.equal(article._parentId, page._id)
+    assert.equal(block._parentId, article._id)
+    assert.equal(block._trackingId, 1)
+    assert.deepEqual(components.map(c => c._parentId), [block._id, block._id])
+    assert.deepEqual(components.map(c => c._component), ['text', 'graphic'])
+    assert.equal(new Set([menu, page, article, block, ...components].map(i => i._id)).size, 6)
+  })
+
+  it('should write content for every language', () => {
+    const files = buildCourseFiles({ languages: ['en', 'fr'], assets: { 'tiny.png': TINY_PNG } })
+    assert.equal(parse(files, 'src/course/config.json')._defaultLanguage, 'en')
+    assert.ok(files['src/course/fr/course.json'])
+    assert.equal(files['src/course/fr/assets/tiny.png'], TINY_PNG)
+  })
+
+  it('should apply file overrides last', () => {
+    const files = buildCourseFiles({
+      frameworkVersion: '1.0.0',
+      files: { 'src/course/config.json': null, 'src/extra.json': { a: 1 }, 'src/raw.txt': 'raw' }
+    })
+    assert.equal(parse(files, 'package.json').version, '1.0.0')
+    assert.equal(files['src/course/config.json'], undefined)
+    assert.deepEqual(parse(files, 'src/extra.json'), { a: 1 })
+    assert.equal(files['src/raw.txt'], 'raw')
+  })
+
+  it('should write an export directory', async () => {
+    const dir = await createCourseExport({ contentObjects: [{ title: 'Page' }] }, { dir: tmpDir })
+    const [page] = JSON.parse(await fs.readFile(path.join(dir, 'src/course/en/contentObjects.json'), 'utf8'))
+    assert.equal(page.title, 'Page')
+  })
+
+  it('should write arbitrary files', async () => {
+    const dir = await writeFiles({ 'a/b.txt': 'b' }, { dir: tmpDir })
+    assert.equal(await fs.readFile(path.join(dir, 'a/b.txt'), 'utf8'), 'b')
+  })
+
+  it('should apply file overrides', () => {
+    const files = applyFileOverrides({ 'a.txt': 'a', 'b.txt': 'b' }, { 'a.txt': null, 'b.txt': TINY_PNG, 'c.json': { c: 1 } })
+    assert.deepEqual(files, { 'b.txt': TINY_PNG, 'c.json': '{\n  "c": 1\n}' })
+  })
+})
+
+describe('uniqueId()', () => {
+  it('should return a different value on every call', () => {
+    const ids = new Set(Array.from({ length: 100 }, () => uniqueId()))
+    assert.equal(ids.size, 100)
+  })
+})
+
+describe('assertRejectsWithCode()', () => {
+  const adaptError = (code, props = {}) => Object.assign(new Error(code), { code, statusCode: 500, ...props })
+
+  it('should match codes in code, id or data.code', () => {
+    assert.ok(errorHasCode(adaptError('A_CODE'), 'A_CODE'))
+    assert.ok(errorHasCode({ id: 'A_CODE' }, 'A_CODE'))
+    assert.ok(errorHasCode({ data: { code: 'A_CODE' } }, 'A_CODE'))
+    assert.ok(!errorHasCode(adaptError('OTHER'), 'A_CODE'))
+  })
+
+  it('should not match codes in the message', () => {
+    assert.ok(!errorHasCode(new Error('failed with A_CODE'), 'A_CODE'))
+    assert.ok(!errorHasCode(adaptError('A_CODE_LONGER'), 'A_CODE'), 'should not match a code which contains it')
+  })
+
+  it('should return the error when the code matches', async () => {
+    const thrown = adaptError('A_CODE')
+    assert.equal(await assertRejectsWithCode(() => Promise.reject(thrown), 'A_CODE'), thrown)
+  })
+
+  it('should accept any of several codes', async () => {
+    await assertRejectsWithCode(Promise.reject(adaptError('B_CODE')), ['A_CODE', 'B_CODE'])
+  })
+
+  it('should fail when nothing is thrown', async () => {
+    await assert.rejects(() => assertRejectsWithCode(async () => {}, 'A_CODE'), /no error was thrown/)
+  })
+
+  it('should fail with a diff when the wrong error is thrown', async () => {
+    await assert.rejects(
+      () => assertRejectsWithCode(() => Promise.reject(adaptError('OTHER')), ['A_CODE', 'B_CODE']),
+      err => {
+        assert.ok(err instanceof assert.AssertionError)
+        assert.match(err.message, /'OTHER'/)
+        assert.match(err.message, /one of A_CODE, B_CODE/)
+        assert.match(err.message, /Thrown error:/)
+        return true
+      }
+    )
+  })
+
+  it('should check statusCode and data fields', async () => {
+    const thrown = () => Promise.reject(adaptError('A_CODE', { statusCode: 404, data: { id: '1', extra: true } }))
+    await assertRejectsWithCode(thrown, 'A_CODE', { statusCode: 404, data: { id: '1' } })
+    await assert.rejects(() => assertRejectsWithCode(thrown, 'A_CODE', { statusCode: 400 }), assert.AssertionError)
+    await assert.rejects(() => assertRejectsWithCode(thrown, 'A_CODE', { data: { id: '2' } }), assert.AssertionError)
+  })
+})
+
+describe('HttpClient', () => {
+  let server
+  let client
+  const requests = []
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', chunk => { body += chunk })
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body })
+        if (req.url === '/login') {
+          res.setHeader('Set-Cookie', ['sid=abc123; Path=/; HttpOnly', 'old=1; Max-Age=0'])
+          res.statusCode = 204
+          return res.end()
+        }
+        if (req.url === '/text') return res.end('plain')
+        res.setHeader('Content-Type', 'application/json')
+        res.statusCode = req.url.startsWith('/missing') ? 404 : 200
+        res.end(JSON.stringify({ ok: true }))
+      })
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    client = new HttpClient({ baseUrl: `http://127.0.0.1:${server.address().port}/` })
+  })
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  it('should parse JSON responses and report the status', async () => {
+    const res = await client.get('/missing')
+    assert.equal(res.status, 404)
+    assert.equal(res.ok, false)
+    assert.deepEqual(res.body, { ok: true })
+  })
+
+  it('should return non-JSON bodies as text', async () => {
+    assert.equal((await client.get('/text')).body, 'plain')
+  })
+
+  it('should serialise JSON bodies and query parameters', async () => {
+    await client.post('/data', { a: 1 }, { query: { q: 'x', filter: { b: 2 } } })
+    const req = requests.at(-1)
+    assert.equal(req.headers['content-type'], 'application/json')
+    assert.equal(req.body, '{"a":1}')
+    assert.equal(decodeURIComponent(req.url), '/data?q=x&filter={"b":2}')
+  })
+
+  it('should keep cookies and drop expired ones', async () => {
+    client.cookies.set('old', 'stale')
+    const res = await client.post('/login')
+    assert.equal(res.body, undefined)
+    assert.deepEqual([...client.cookies], [['sid', 'abc123']])
+    await client.get('/data')
+    assert.equal(requests.at(-1).headers.cookie, 'sid=abc123')
+  })
+
+  it('should send a bearer token, and forget credentials on logout', async () => {
+    client.token = 'tok'
+    await client.get('/data')
+    assert.equal(requests.at(-1).headers.authorization, 'Bearer tok')
+    client.logout()
+    await client.get('/data')
+    assert.equal(requests.at(-1).headers.authorization, undefined)
+    assert.equal(requests.at(-1).headers.cookie, undefined)
+  })
+})
+
+describe('Permission matrix', () => {
+  const user = { isSuper: false, scopes: ['read:content', 'write:content'] }
+
+  it('should replace route parameters with a dummy _id', () => {
+    assert.equal(resolveRoutePath('/api/content/:_id/clone/{:other}'), '/api/content/000000000000000000000000/clone/000000000000000000000000')
+  })
+
+  it('should work out the expected access', () => {
+    assert.equal(getExpectedAccess({ unsecured: true }), 'allowed')
+    assert.equal(getExpectedAccess({ unsecured: false, scopes: ['read:content'] }), 'unauthenticated')
+    assert.equal(getExpectedAccess({ unsecured: false }, user), 'undeclared')
+    assert.equal(getExpectedAccess({ unsecured: false, scopes: ['read:content'] }, user), 'allowed')
+    assert.equal(getExpectedAccess({ unsecured: false, scopes: ['read:users'] }, user), 'forbidden')
+    assert.equal(getExpectedAccess({ unsecured: false, scopes: ['read:users'] }, { isSuper: true, scopes: [] }), 'allowed')
+  })
+
+  it('should check statuses against the expected access', () => {
+    assert.ok(isExpectedStatus('allowed', 404))
+    assert.ok(!isExpectedStatus('allowed', 403))
+    assert.ok(isExpectedStatus('unauthenticated', 401))
+    assert.ok(!isExpectedStatus('unauthenticated', 200))
+    assert.ok(isExpectedStatus('forbidden', 403))
+    assert.ok(!isExpectedStatus('forbidden', 401))
+    assert.ok(!isExpectedStatus('undeclared', 200))
+  })
+
+  it('should flag routes which modify the installation', () => {
+    assert.ok(isUnsafeRoute('post', '/api/adapt/update'))
+    assert.ok(!isUnsafeRoute('get', '/api/adapt/update'))
+  })
+
+  it('should format a table marking mismatches', () => {
+    const table = formatMatrix([
+      { method: 'get', path: '/api/content', scopes: ['read:content'], results: { anonymous: { status: 401, ok: true }, authuser: { status: 200, ok: false, expected: 'forbidden' } } },
+      { method: 'post', path: '/api/auth/local', unsecured: true, results: { anonymous: { status: 400, ok: true }, authuser: { skipped: true, ok: true } } }
+    ], ['anonymous', 'authuser'])
+    const lines = table.split('\n')
+    assert.equal(lines.length, 4)
+    assert.match(lines[0], /^route\s+\| scopes\s+\| anonymous \| authuser$/)
+    assert.match(lines[2], /GET \/api\/content\s+\| read:content\s+\| 401\s+\| 200 ✗ \(forbidden\)/)
+    assert.match(lines[3], /POST \/api\/auth\/local \| \(unsecured\)\s+\| 400\s+\| -/)
+  })
+})
+
+describe('Schema fuzzing', () => {
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['title', 'count'],
+    properties: {
+      _id: { type: 'string', isObjectId: true, isReadOnly: true },
+      title: { type: 'string', minLength: 2, maxLength: 20 },
+      count: { type: 'integer', minimum: 1, maximum: 5 },
+      kind: { type: 'string', enum: ['a', 'b'] },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+      meta: { type: ['string', 'object'] },
+      secret: { type: 'string', isInternal: true }
+    }
+  }
+
+  it('should skip read-only and internal properties', () => {
+    assert.deepEqual(Object.keys(getWritableProperties(schema)), ['title', 'count', 'kind', 'tags', 'meta'])
+  })
+
+  it('should generate a valid payload of the required properties', () => {
+    assert.deepEqual(generateValid(schema), { title: 'fuzz', count: 1 })
+  })
+
+  it('should use the given values for required properties', () => {
+    const values = { title: 'real', kind: 'b' }
+    assert.deepEqual(generateValid(schema, { values }), { title: 'real', count: 1 }, 'should not add properties which aren\'t required')
+    assert.equal(generateInvalid(schema, { values }).find(c => c.name === 'count: above maximum').payload.title, 'real')
+    assert.equal(generateBoundary(schema, { values }).find(c => c.name === 'count: maximum').payload.title, 'real')
+  })
+
+  it('should generate boundary payloads', () => {
+    const cases = Object.fromEntries(generateBoundary(schema).map(c => [c.name, c.payload]))
+    assert.equal(cases['title: maxLength'].title.length, 20)
+    assert.equal(cases['title: minLength'].title.length, 2)
+    assert.equal(cases['count: maximum'].count, 5)
+    assert.equal(cases['kind: last enum value'].kind, 'b')
+    assert.equal(cases['tags: maxItems'].tags.length, 2)
+    assert.equal(cases['title: maxLength'].count, 1, 'should keep the required properties')
+  })
+
+  it('should generate invalid payloads', () => {
+    const cases = Object.fromEntries(generateInvalid(schema).map(c => [c.name, c.payload]))
+    assert.deepEqual(cases['title: missing'], { count: 1 })
+    assert.deepEqual(cases['title: wrong type'].title, {})
+    assert.equal(cases['count: wrong type'].count, 1.5)
+    assert.equal(cases['count: above maximum'].count, 6)
+    assert.equal(cases['count: below minimum'].count, 0)
+    assert.equal(cases['title: too long'].title.length, 21)
+    assert.equal(cases['title: too short'].title.length, 1)
+    assert.ok(cases['kind: not in enum'])
+    assert.ok(cases['unknown property'].__fuzzUnknown)
+    assert.equal(cases['meta: wrong type'], undefined, 'should not use a type the schema allows')
+    assert.equal(cases['_id: wrong type'], undefined)
+  })
+
+  it('should omit missing-property cases for partial updates', () => {
+    assert.ok(!generateInvalid(schema, { partial: true }).some(c => c.name.endsWith(': missing')))
+  })
+})
+
+describe('Course integrity', () => {
+  const sound = () => [
+    { _id: 'c1', _type: 'course', _courseId: 'c1' },
+    { _id: 'cfg', _type: 'config', _courseId: 'c1', _enabledPlugins: ['adapt-contrib-text'] },
+    { _id: 'p1', _type: 'page', _courseId: 'c1', _parentId: 'c1', _sortOrder: 1 },
+    { _id: 'a1', _type: 'article', _courseId: 'c1', _parentId: 'p1', _sortOrder: 1 },
+    { _id: 'b1', _type: 'block', _courseId: 'c1', _parentId: 'a1', _sortOrder: 1 },
+    { _id: 'x1', _type: 'component', _courseId: 'c1', _parentId: 'b1', _sortOrder: 1, _assetIds: ['asset1'] },
+    { _id: 'x2', _type: 'component', _courseId: 'c1', _parentId: 'b1', _sortOrder: 2 }
+  ]
+  const options = { assetIds: new Set(['asset1']), pluginNames: new Set(['adapt-contrib-text']) }
+  const typesOf = (items, opts = options) => findIntegrityProblems('c1', items, opts).map(p => `${p.type}:${p.id}`)
+
+  it('should find no problems in a sound course', () => {
+    assert.deepEqual(findIntegrityProblems('c1', sound(), options), [])
+  })
+
+  it('should report a missing course and config', () => {
+    const items = sound().filter(i => i._type !== 'course' && i._type !== 'config')
+    assert.deepEqual(typesOf(items), ['missing-course:undefined', 'missing-config:undefined', 'orphan:p1'])
+  })
+
+  it('should report duplicate configs', () => {
+    assert.deepEqual(typesOf([...sound(), { _id: 'cfg2', _type: 'config', _courseId: 'c1' }]), ['duplicate-config:cfg2'])
+  })
+
+  it('should report orphans, illegal parents and items from another course', () => {
+    const items = sound()
+    items[3]._parentId = 'missing'
+    items[6]._parentId = 'p1'
+    items.push({ _id: 'b2', _type: 'block', _courseId: 'c2', _parentId: 'a1', _sortOrder: 2 })
+    assert.deepEqual(typesOf(items), ['orphan:a1', 'illegal-parent:x2', 'wrong-course:b2'])
+  })
+
+  it('should report gaps and duplicates in _sortOrder', () => {
+    const gap = sound()
+    gap[6]._sortOrder = 3
+    assert.deepEqual(typesOf(gap), ['sort-order:b1'])
+    const duplicate = sound()
+    duplicate[6]._sortOrder = 1
+    assert.deepEqual(typesOf(duplicate), ['sort-order:b1'])
+  })
+
+  it('should report missing assets and plugins', () => {
+    const items = sound()
+    items[1]._enabledPlugins.push('adapt-contrib-missing')
+    items[6]._assetIds = ['asset2']
+    assert.deepEqual(typesOf(items), ['missing-plugin:cfg', 'missing-asset:x2'])
+  })
+
+  it('should only check assets and plugins when given', () => {
+    const items = sound()
+    items[1]._enabledPlugins.push('adapt-contrib-missing')
+    items[6]._assetIds = ['asset2']
+    assert.deepEqual(typesOf(items, {}), [])
+  })
+})
+
+describe('Course comparison', () => {
+  const course = (prefix, { createdAt = '2020-01-01' } = {}) => [
+    { _id: `${prefix}c`, _type: 'course', _courseId: `${prefix}c`, title: 'Course', createdAt },
+    { _id: `${prefix}cfg`, _type: 'config', _courseId: `${prefix}c`, _enabledPlugins: ['adapt-contrib-text'] },
+    { _id: `${prefix}p`, _type: 'page', _courseId: `${prefix}c`, _parentId: `${prefix}c`, _sortOrder: 1, title: 'Page', _start: { _id: `${prefix}a2` } },
+    { _id: `${prefix}a2`, _type: 'article', _courseId: `${prefix}c`, _parentId: `${prefix}p`, _sortOrder: 2, title: 'Second' },
+    { _id: `${prefix}a1`, _type: 'article', _courseId: `${prefix}c`, _parentId: `${prefix}p`, _sortOrder: 1, title: 'First', _graphic: { src: `${prefix}asset` } }
+  ]
+  const ids = new Map([['Aasset', '<asset abc>'], ['Basset', '<asset abc>']])
+
+  it('should match courses which only differ by _ids, references and timestamps', () => {
+    assert.deepEqual(diffCourseItems(course('A'), course('B', { createdAt: '2021-01-01' }), { ids }), [])
+  })
+
+  it('should report field-level differences', () => {
+    const b = course('B')
+    b[4]._graphic.alt = 'Alt'
+    b[3].title = 'Changed'
+    const diffs = diffCourseItems(course('A'), b, { ids })
+    assert.deepEqual(diffs.map(d => [d.item, d.field, d.a, d.b]), [
+      ['course/page[1]/article[2]', 'title', 'Second', 'Changed'],
+      ['course/page[1]/article[1]', '_graphic.alt', undefined, 'Alt']
+    ])
+    assert.match(diffs[0].message, /article\[2\]\.title: "Second" !== "Changed"/)
+  })
+
+  it('should report changed references and array entries', () => {
+    const b = course('B')
+    b[2]._start._id = 'Ba1'
+    b[1]._enabledPlugins.push('adapt-contrib-media')
+    assert.deepEqual(diffCourseItems(course('A'), b, { ids }).map(d => [d.field, d.a, d.b]), [
+      ['_enabledPlugins.1', undefined, 'adapt-contrib-media'],
+      ['_start._id', '<course/page[1]/article[2]>', '<course/page[1]/article[1]>']
+    ])
+  })
+
+  it('should report items which only exist in one course', () => {
+    const b = [...course('B'), { _id: 'Ba3', _type: 'article', _courseId: 'Bc', _parentId: 'Bp', _sortOrder: 3 }]
+    const diffs = diffCourseItems(course('A'), b, { ids })
+    assert.deepEqual(diffs.map(d => d.item), ['course/page[1]/article[3]'])
+    assert.match(diffs[0].message, /article only exists in the second course/)
+  })
+
+  it('should skip ignored fields', () => {
+    const b = course('B')
+    b[3].title = 'Changed'
+    b[4]._graphic.alt = 'Alt'
+    assert.deepEqual(diffCourseItems(course('A'), b, { ids, ignore: ['title', /^_graphic\./] }), [])
+  })
+})
+
+describe('Leak detection', () => {
+  it('should report collections with more documents than before', () => {
+    const leaks = findLeaks({ users: 1, roles: 3, content: 5 }, { users: 3, roles: 3, content: 2, tags: 1 })
+    assert.deepEqual(leaks, [
+      { collection: 'tags', before: 0, after: 1 },
+      { collection: 'users', before: 1, after: 3 }
+    ])
+  })
+
+  it('should not blame documents created at boot on the spec which boots the app', async () => {
+    const db = { roles: 0, contentplugins: 0, users: 0 }
+    let booted = false
+    // stands in for getApp(), which seeds data on the first call and is cached after
+    const boot = async () => {
+      if (booted) return
+      booted = true
+      Object.assign(db, { roles: 4, contentplugins: 12 })
+    }
+    const count = async () => ({ ...db })
+    const baseline = await getBaselineCounts({ boot, count })
+    assert.deepEqual(baseline, { roles: 4, contentplugins: 12, users: 0 })
+    // the spec boots the app in its own before hook, and cleans up after itself
+    await boot()
+    assert.deepEqual(findLeaks(baseline, await count()), [])
+    db.users++
+    assert.deepEqual(findLeaks(baseline, await count()), [{ collection: 'users', before: 0, after: 1 }])
+  })
+
+  it('should format leaks by spec', () => {
+    const text = formatLeaks([{ spec: 'roles.spec.js', leaks: [{ collection: 'roles', before: 3, after: 5 }, { collection: 'users', before: 0, after: 1 }] }])
+    assert.equal(text, 'Leaked data:\n  roles.spec.js: roles (+2), users (+1)')
+  })
+
+  it('should read and remove a leaks file', async () => {
+    const file = path.join(os.tmpdir(), `aat-leaks-test-${process.pid}.json`)
+    const result = { spec: 'a.spec.js', file: '/a.spec.js', leaks: [{ collection: 'users', before: 0, after: 1 }] }
+    await fs.writeFile(file, JSON.stringify(result) + '\n')
+    assert.deepEqual(readLeaks(file), [result])
+    await assert.rejects(fs.access(file))
+    assert.deepEqual(readLeaks(file), [], 'should return nothing for a missing file')
+  })
+
+  it('should import specs statically unless detecting leaks', () => {
+    assert.equal(getEntrySource(['/t/a.spec.js', '/t/b.spec.js']), "import '/t/a.spec.js'\nimport '/t/b.spec.js'\n")
+  })
+
+  it('should check for leaks after each spec', () => {
+    const lines = getEntrySource(['/t/a.spec.js', '/t/b.spec.js'], { detectLeaks: true }).trim().split('\n')
+    assert.match(lines[0], /^import \{ checkLeaks, startLeakTracking \} from 'file:.+\/lib\/leaks\.js'$/)
+    assert.deepEqual(lines.slice(1), [
+      'startLeakTracking()',
+      "await import('/t/a.spec.js')",
+      "checkLeaks('/t/a.spec.js')",
+      "await import('/t/b.spec.js')",
+      "checkLeaks('/t/b.spec.js')"
+    ])
+  })
+})
+
+describe('Build output inspector', () => {
+  const dirs = []
+
+  after(async () => {
+    for (const dir of dirs) await fs.rm(dir, { recursive: true, force: true })
+  })
+
+  it('should inspect a preview or publish build', async () => {
+    const dir = await writeFiles({
+      'build/index.html': '<html></html>',
+      'build/adapt.css': 'body {}',
+      'build/adapt/js/adapt.min.js': '',
+      'build/adapt/js/build.min.js': JSON.stringify({ plugins: [{ name: 'adapt-contrib-text', version: '6.0.0', type: 'component' }, { name: 'adapt-contrib-vanilla', version: '8.0.0' }] }),
+      'build/course/config.json': JSON.stringify({ _enabledPlugins: ['adapt-contrib-text'] }),
+      'build/course/en/course.json': JSON.stringify({ title: 'Built' }),
+      'build/course/en/components.json': JSON.stringify([{ _id: 'c-1' }]),
+      'build/course/en/assets/logo.png': TINY_PNG
+    })
+    dirs.push(dir)
+    const build = await inspectBuild(dir)
+    assert.equal(build.courseDir, 'course')
+    assert.ok(build.files.includes('index.html'), 'files should be relative to the build root')
+    assert.deepEqual(build.config._enabledPlugins, ['adapt-contrib-text'])
+    assert.deepEqual(Object.keys(build.languages), ['en'])
+    assert.equal(build.languages.en.course.title, 'Built')
+    assert.equal(build.languages.en.components.length, 1)
+    assert.deepEqual(build.assets, { en: ['logo.png'] })
+    assert.deepEqual(build.plugins, [{ name: 'adapt-contrib-text', version: '6.0.0' }, { name: 'adapt-contrib-vanilla', version: '8.0.0' }])
+    assert.equal(build.hasAdaptJs, true)
+    assert.equal(build.hasCss, true)
+  })
+
+  it('should inspect an export', async () => {
+    const dir = await writeFiles({
+      ...buildCourseFiles({ languages: ['en', 'fr'], contentObjects: [{ articles: [{}] }], assets: { 'a.png': TINY_PNG } }),
+      'src/components/adapt-contrib-text/package.json': JSON.stringify({ name: 'adapt-contrib-text', version: '6.0.0' }),
+      'src/components/adapt-contrib-text/bower.json': JSON.stringify({ name: 'adapt-contrib-text', version: '5.0.0' }),
+      'src/theme/adapt-contrib-vanilla/bower.json': JSON.stringify({ name: 'adapt-contrib-vanilla', version: '7.0.0' })
+    })
+    dirs.push(dir)
+    const build = await inspectBuild(dir)
+    assert.equal(build.courseDir, 'src/course')
+    assert.deepEqual(Object.keys(build.languages).sort(), ['en', 'fr'])
+    assert.equal(build.languages.fr.contentObjects.length, 1)
+    assert.equal(build.languages.en.articles.length, 1)
+    assert.deepEqual(build.assets, { en: ['a.png'], fr: ['a.png'] })
+    assert.deepEqual(build.plugins, [{ name: 'adapt-contrib-text', version: '6.0.0' }, { name: 'adapt-contrib-vanilla', version: '7.0.0' }], 'should prefer package.json over bower.json')
+    assert.equal(build.hasAdaptJs, false)
+  })
+
+  it('should throw if there is no course config', async () => {
+    const dir = await writeFiles({ 'index.html': '' })
+    dirs.push(dir)
+    await assert.rejects(inspectBuild(dir), /No course\/config\.json found/)
+  })
+})
+
+describe('Headless runtime', () => {
+  let dir
+  let server
+
+  before(async () => {
+    dir = await writeFiles({
+      'index.html': '<html><head><script src="app.js"></script></head><body></body></html>',
+      'app.js': `
+        const xhr = new XMLHttpRequest()
+        xhr.open('GET', 'course/data.json')
+        xhr.onload = () => { window.data = JSON.parse(xhr.responseText) }
+        xhr.send()
+        new IntersectionObserver(() => {}).observe(document.body)
+        console.error('logged error')
+        window.alert('not implemented by jsdom')
+      `,
+      'broken.html': '<html><head><script src="missing.js"></script><script>null.boom</script></head></html>',
+      'course/data.json': JSON.stringify({ title: 'Loaded' })
+    })
+    server = await serveDirectory(dir)
+  })
+
+  after(async () => {
+    await server.close()
+    await fs.rm(dir, { recursive: true, force: true })
+  })
+
+  it('should serve files and record requests', async () => {
+    const res = await fetch(new URL('course/data.json', server.url))
+    assert.equal(res.headers.get('content-type'), 'application/json; charset=utf-8')
+    assert.deepEqual(await res.json(), { title: 'Loaded' })
+    assert.equal((await fetch(new URL('nope.js', server.url))).status, 404)
+    assert.deepEqual(server.requests.slice(-2), [{ path: '/course/data.json', status: 200 }, { path: '/nope.js', status: 404 }])
+  })
+
+  it('should run scripts and wait for a condition', async () => {
+    const page = await loadPage(server.url, { waitFor: w => w.data, settle: 0 })
+    page.close()
+    assert.deepEqual({ ...page.window.data }, { title: 'Loaded' })
+    assert.equal(page.timedOut, false)
+    assert.deepEqual(page.errors, [], 'jsdom limitations should not be counted as errors')
+    assert.deepEqual(page.notImplemented, ['Not implemented: window.alert'])
+    assert.deepEqual(page.consoleErrors, ['logged error'])
+  })
+
+  it('should report script errors and failed resources', async () => {
+    const page = await loadPage(new URL('broken.html', server.url).href, { settle: 0 })
+    page.close()
+    assert.equal(page.errors.length, 2)
+    assert.match(page.errors.join('\n'), /missing\.js.+404/)
+    assert.match(page.errors.join('\n'), /Cannot read properties of null/)
+  })
+
+  it('should time out if the condition is never met', async () => {
+    const page = await loadPage(server.url, { waitFor: () => false, timeout: 200, settle: 0 })
+    page.close()
+    assert.equal(page.timedOut, true)
+  })
+})
+
+describe('Migration scaffolds', () => {
+  it('should name migration files by version and type', () => {
+    assert.equal(getMigrationFilename({ version: '1.2.0', type: 'config' }), '1.2.0-conf.js')
+    assert.equal(getMigrationFilename({ version: '1.2.0' }), '1.2.0-content.js')
+    assert.throws(() => getMigrationFilename({ version: '1.2.0', type: 'nope' }), /Unknown migration type: nope/)
+  })
+
+  it('should write the config and migrations', async () => {
+    const scaffold = await createMigrationScaffold({
+      connectionUri: 'mongodb://localhost/test',
+      config: { 'test-module': { a: 1 } },
+      dependencies: {
+        'dep-a': [
+          { version: '1.0.0', type: 'config', migrate: m => m.describe('arrow') },
+          { version: '1.1.0', migrate: function (m) { m.describe('function') } },
+          { version: '1.2.0', migrate (m) { m.describe('method') } },
+          { version: '1.3.0', migrate: 'function (m) { m.describe(\'string\') }' }
+        ]
+      }
+    })
+    try {
+      const config = await scaffold.readConfig()
+      assert.deepEqual(config, { 'test-module': { a: 1 }, 'adapt-authoring-mongodb': { connectionUri: 'mongodb://localhost/test' } })
+      const migDir = path.join(scaffold.dependencies['dep-a'].rootDir, 'migrations')
+      assert.deepEqual((await fs.readdir(migDir)).sort(), ['1.0.0-conf.js', '1.1.0-content.js', '1.2.0-content.js', '1.3.0-content.js'])
+      for (const file of await fs.readdir(migDir)) {
+        const { default: migrate } = await import(path.join(migDir, file))
+        const described = []
+        migrate({ describe: d => described.push(d) })
+        assert.equal(described.length, 1, `${file} should be importable and callable`)
+      }
+    } finally {
+      await scaffold.cleanup()
+    }
+    await assert.rejects(fs.access(scaffold.rootDir))
+  })
+})
+
+describe('Offline plugin registry', () => {
+  let frameworkDir
+  let registry
+  const getJson = async p => {
+    const res = await fetch(new URL(p, registry.url))
+    return { status: res.status, body: res.ok ? await res.json() : undefined }
+  }
+
+  before(async () => {
+    frameworkDir = await writeFiles({
+      'src/components/adapt-contrib-text/bower.json': JSON.stringify({ name: 'adapt-contrib-text', version: '7.0.0', framework: '>=5' }),
+      'src/components/adapt-contrib-text/js/text.js': 'export default {}',
+      'src/extensions/adapt-contrib-trickle/.bower.json': JSON.stringify({ name: 'adapt-contrib-trickle', version: '5.0.0' }),
+      'src/extensions/not-a-plugin/README.md': ''
+    })
+    registry = await startRegistry({
+      plugins: ['adapt-test-component'],
+      mirror: await getInstalledPluginDirs(frameworkDir)
+    })
+  })
+
+  after(async () => {
+    await registry.close()
+    await fs.rm(frameworkDir, { recursive: true, force: true })
+  })
+
+  it('should read the built-in fixtures', async () => {
+    const fixtures = await readRegistryFixtures(path.join(testsDir, '..', 'fixtures', 'registry'))
+    const component = fixtures.find(f => f.name === 'adapt-test-component')
+    assert.ok(component, 'should include adapt-test-component')
+    assert.deepEqual(Object.keys(component.versions), ['1.0.0', '1.1.0', '2.0.0'])
+    assert.equal(component.manifest.component, 'testComponent')
+  })
+
+  it('should find installed plugins with a manifest', () => {
+    assert.deepEqual(registry.plugins.map(p => [p.name, p.versions, p.mirrored]), [
+      ['adapt-contrib-text', ['7.0.0'], true],
+      ['adapt-contrib-trickle', ['5.0.0'], true],
+      ['adapt-test-component', ['1.0.0', '1.1.0', '2.0.0'], false]
+    ])
+  })
+
+  it('should look up, search and list plugins', async () => {
+    const component = registry.plugins.find(p => p.name === 'adapt-test-component')
+    assert.deepEqual(await getJson('packages/adapt-test-component'), { status: 200, body: { name: 'adapt-test-component', url: component.url } })
+    assert.deepEqual((await getJson('packages/search/contrib')).body.map(p => p.name), ['adapt-contrib-text', 'adapt-contrib-trickle'])
+    assert.equal((await getJson('packages')).body.length, 3)
+    assert.equal((await getJson('packages/adapt-test-extension')).status, 404, 'unselected fixtures should not be served')
+    assert.deepEqual(registry.requests.at(-1), { path: '/packages/adapt-test-extension', status: 404 })
+  })
+
+  it('should tag each version in the plugin repositories', async () => {
+    const component = registry.plugins.find(p => p.name === 'adapt-test-component')
+    const git = (...args) => execFileSync('git', args, { cwd: component.url, encoding: 'utf8' })
+    assert.deepEqual(git('tag', '--list').trim().split('\n'), ['v1.0.0', 'v1.1.0', 'v2.0.0'])
+    const manifest = JSON.parse(git('show', 'v2.0.0:bower.json'))
+    assert.equal(manifest.version, '2.0.0')
+    assert.equal(manifest.framework, '>=99.0.0', 'versions.json overrides should be applied')
+    assert.equal(JSON.parse(git('show', 'v1.0.0:bower.json')).framework, '>=5.0.0')
+    assert.ok(git('ls-tree', '-r', '--name-only', 'v1.0.0').includes('js/adapt-test-component.js'))
+    assert.ok(!git('ls-tree', '-r', '--name-only', 'v1.0.0').includes('versions'))
+  })
+
+  it('should overlay per-version files', () => {
+    const component = registry.plugins.find(p => p.name === 'adapt-test-component')
+    const getSchema = version => JSON.parse(execFileSync('git', ['show', `v${version}:schema/component.schema.json`], { cwd: component.url, encoding: 'utf8' }))
+    assert.deepEqual(getSchema('1.0.0').$merge.with.properties, {})
+    assert.ok(getSchema('1.1.0').$merge.with.properties._testOption)
+  })
+
+  it('should mirror installed plugins at their current version', async () => {
+    const trickle = registry.plugins.find(p => p.name === 'adapt-contrib-trickle')
+    const manifest = JSON.parse(execFileSync('git', ['show', 'v5.0.0:bower.json'], { cwd: trickle.url, encoding: 'utf8' }))
+    assert.equal(manifest.name, 'adapt-contrib-trickle')
+  })
+
+  it('should reject unknown fixtures', async () => {
+    await assert.rejects(startRegistry({ plugins: ['adapt-nope'] }), /Unknown registry fixture\(s\): adapt-nope/)
+  })
+
+  it('should point adapt-cli at the registry until it is closed', async () => {
+    const previous = process.env.ADAPT_REGISTRY
+    process.env.ADAPT_REGISTRY = 'http://registry.example.com/'
+    try {
+      const used = await useRegistry(frameworkDir, { plugins: [] })
+      assert.equal(process.env.ADAPT_REGISTRY, used.url)
+      assert.deepEqual(used.plugins.map(p => p.name), ['adapt-contrib-text', 'adapt-contrib-trickle'])
+      await used.close()
+      assert.equal(process.env.ADAPT_REGISTRY, 'http://registry.example.com/')
+    } finally {
+      if (previous === undefined) delete process.env.ADAPT_REGISTRY
+      else process.env.ADAPT_REGISTRY = previous
+    }
+  })
+})
+
+describe('Plugin package generator', () => {
+  it('should derive short names from package names', () => {
+    assert.equal(getPluginShortName('adapt-contrib-textInput'), 'textInput')
+    assert.equal(getPluginShortName('adapt-local-test'), 'localTest')
+  })
+
+  it('should build a component with a JSON schema', () => {
+    const files = buildPluginFiles({ name: 'adapt-local-test', version: '1.2.0', properties: { _a: { type: 'string' } } })
+    assert.deepEqual(Object.keys(files).sort(), [
+      'bower.json',
+      'js/adapt-local-test.js',
+      'less/localTest.less',
+      'schema/component.schema.json',
+      'templates/localTest.hbs'
+    ])
+    const bower = JSON.parse(files['bower.json'])
+    assert.equal(bower.version, '1.2.0')
+    assert.equal(bower.component, 'localTest')
+    assert.equal(bower.targetAttribute, '_localTest')
+    assert.equal(bower.main, '/js/adapt-local-test.js')
+    const schema = JSON.parse(files['schema/component.schema.json'])
+    assert.equal(schema.$anchor, 'localTest-component')
+    assert.deepEqual(schema.$merge.with.properties, { _a: { type: 'string' } })
+  })
+
+  it('should patch the course schema for other plugin types', () => {
+    const files = buildPluginFiles({ name: 'adapt-ext', type: 'extension', manifest: 'both', properties: { _isEnabled: { type: 'boolean' } } })
+    assert.equal(JSON.parse(files['package.json']).extension, 'ext')
+    const schema = JSON.parse(files['schema/course.schema.json'])
+    assert.equal(schema.$anchor, 'ext-course')
+    assert.deepEqual(schema.$patch.with.properties._ext.properties, { _isEnabled: { type: 'boolean' } })
+    assert.equal(files['templates/ext.hbs'], undefined)
+  })
+
+  it('should write legacy properties.schema files', () => {
+    const component = JSON.parse(buildPluginFiles({ name: 'adapt-a', schemaFormat: 'legacy', properties: { _b: { type: 'string' } } })['properties.schema'])
+    assert.deepEqual(component.properties, { _b: { type: 'string' } })
+    const extension = JSON.parse(buildPluginFiles({ name: 'adapt-a', type: 'extension', schemaFormat: 'legacy' })['properties.schema'])
+    assert.ok(extension.properties.pluginLocations.properties.course.properties._a)
+  })
+
+  it('should apply file overrides and reject unknown options', () => {
+    const files = buildPluginFiles({ name: 'adapt-a', manifest: 'package', files: { 'bower.json': { name: 'x' }, 'less/a.less': null } })
+    assert.equal(JSON.parse(files['bower.json']).name, 'x')
+    assert.equal(files['less/a.less'], undefined)
+    assert.throws(() => buildPluginFiles({ name: 'adapt-a', type: 'widget' }), /Unknown plugin type: widget/)
+    assert.throws(() => buildPluginFiles({ name: 'adapt-a', schemaFormat: 'yaml' }), /Unknown schema format/)
+  })
+
+  it('should write the files, optionally in a folder', async () => {
+    const dir = await createPluginPackage({ name: 'adapt-folder' }, { folder: 'adapt-folder-master' })
+    try {
+      const bower = JSON.parse(await fs.readFile(path.join(dir, 'adapt-folder-master', 'bower.json'), 'utf8'))
+      assert.equal(bower.name, 'adapt-folder')
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('Media generators', () => {
+  it('should generate PNGs with the given dimensions', () => {
+    const png = createPng({ width: 64, height: 48 })
+    assert.deepEqual(readPngSize(png), { width: 64, height: 48 })
+    assert.notDeepEqual(createPng({ color: [0, 0, 255] }), createPng(), 'colours should change the contents')
+    assert.throws(() => readPngSize(Buffer.from('not a png')), /Not a PNG file/)
+  })
+
+  it('should generate WAVs of the given length', () => {
+    const wav = createWav({ seconds: 2, sampleRate: 8000 })
+    assert.equal(wav.toString('ascii', 0, 4), 'RIFF')
+    assert.equal(wav.toString('ascii', 8, 12), 'WAVE')
+    assert.equal(wav.readUInt32LE(24), 8000)
+    assert.equal(wav.length, 44 + 16000)
+  })
+
+  it('should generate SVGs and PDFs', () => {
+    assert.match(createSvg({ width: 20, height: 10 }), /^<svg [^>]*width="20" height="10"/)
+    const pdf = createPdf('Hello (world)').toString()
+    assert.ok(pdf.startsWith('%PDF-1.4'))
+    assert.ok(pdf.includes('(Hello \\(world\\)) Tj'), 'text should be escaped')
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1])
+    assert.ok(pdf.slice(xref).startsWith('xref'), 'startxref should point at the cross-reference table')
+  })
+})
+
+describe('getParentWiring()', () => {
+  const course = { _id: 'c1', _type: 'course', _courseId: 'c1', createdBy: 'u1' }
+  const page = { _id: 'p1', _type: 'page', _parentId: 'c1', _courseId: 'c1', createdBy: 'u1' }
+  const findById = async _id => [course, page].find(d => d._id === _id)
+
+  it('should take the course from a parent document', async () => {
+    assert.deepEqual(await getParentWiring(page), { _parentId: 'p1', _courseId: 'c1', createdBy: 'u1' })
+    assert.deepEqual(await getParentWiring(course), { _parentId: 'c1', _courseId: 'c1', createdBy: 'u1' })
+  })
+
+  it('should look up a parent given by _id rather than assume it is the course', async () => {
+    assert.deepEqual(await getParentWiring('p1', { findById }), { _parentId: 'p1', _courseId: 'c1', createdBy: 'u1' })
+    assert.deepEqual(await getParentWiring('c1', { findById }), { _parentId: 'c1', _courseId: 'c1', createdBy: 'u1' })
+  })
+})
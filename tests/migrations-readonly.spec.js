@@ -1,64 +1,61 @@
+// @tags smoke
+
 import { describe, it, before, after } from 'node:test'
 import assert from 'node:assert/strict'
-import fs from 'fs/promises'
-import os from 'os'
-import path from 'path'
-import { pathToFileURL } from 'url'
 import { getApp, getModule } from '../lib/app.js'
-import { runMigrations } from 'adapt-authoring-migrations'
+import { createMigrationScaffold, runScaffoldMigrations } from '../lib/migrations.js'
 
 let mongodb
-let tmpDir
 let connectionUri
+const scaffolds = []
 
 /**
- * Creates a temporary directory with a config file and a config migration.
+ * Creates a scaffold with a config file and a config migration.
  * The config migration moves `test-module.oldKey` to `test-module.newKey`.
  *
  * @param {Object} [opts]
  * @param {boolean} [opts.readOnlyConfig] - Set readOnlyConfig in the config file
- * @returns {Promise<{ rootDir: string, configFilePath: string, depDir: string }>}
+ * @returns {Promise<Object>} See createMigrationScaffold()
  */
 async function createScaffold (opts = {}) {
-  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mig-test-'))
-  const confDir = path.join(dir, 'conf')
-  const depDir = path.join(dir, 'dep')
-  const migDir = path.join(depDir, 'migrations')
-  await fs.mkdir(confDir, { recursive: true })
-  await fs.mkdir(migDir, { recursive: true })
-
-  const config = {
-    'adapt-authoring-mongodb': { connectionUri },
-    'test-module': { oldKey: 'value' }
-  }
+  const config = { 'test-module': { oldKey: 'value' } }
   if (opts.readOnlyConfig) {
     config['adapt-authoring-migrations'] = { readOnlyConfig: true }
   }
-  const configFilePath = path.join(confDir, 'testing.config.js')
-  await fs.writeFile(configFilePath, `export default ${JSON.stringify(config, null, 2)}\n`, 'utf8')
-
-  const migrationCode = `export default function (m) {
-  m.describe('move oldKey to newKey')
-  m.where('test-module').mutate(config => {
-    if (config['test-module']?.oldKey) {
-      config['test-module'].newKey = config['test-module'].oldKey
-      delete config['test-module'].oldKey
+  const scaffold = await createMigrationScaffold({
+    connectionUri,
+    config,
+    dependencies: {
+      'test-dep': [{
+        version: '1.0.0',
+        type: 'config',
+        migrate: function (m) {
+          m.describe('move oldKey to newKey')
+          m.where('test-module').mutate(config => {
+            if (config['test-module']?.oldKey) {
+              config['test-module'].newKey = config['test-module'].oldKey
+              delete config['test-module'].oldKey
+            }
+          })
+        }
+      }]
     }
   })
-}
-`
-  await fs.writeFile(path.join(migDir, '1.0.0-conf.js'), migrationCode, 'utf8')
-
-  return { rootDir: dir, configFilePath, depDir }
+  scaffolds.push(scaffold)
+  return scaffold
 }
 
 /**
- * Collects log calls into an array for assertion.
+ * Runs a scaffold's migrations, failing if they throw, so that the assertions below can't
+ * pass just because nothing ran.
+ * @param {Object} scaffold - See createScaffold()
+ * @param {Object} [options] - See runScaffoldMigrations()
+ * @returns {Promise<Array<Object>>} The collected logs
  */
-function createLogCollector () {
-  const logs = []
-  const log = (level, id, msg) => logs.push({ level, id, msg })
-  return { logs, log }
+async function runMigrations (scaffold, options) {
+  const { logs, error } = await runScaffoldMigrations(scaffold, options)
+  assert.ifError(error)
+  return logs
 }
 
 describe('Config migration readOnlyConfig', () => {
@@ -69,7 +66,7 @@ describe('Config migration readOnlyConfig', () => {
   })
 
   after(async () => {
-    if (tmpDir) await fs.rm(tmpDir, { recursive: true, force: true })
+    for (const scaffold of scaffolds) await scaffold.cleanup()
   })
 
   // ── readOnlyConfig: true ───────────────────────────────────────────
@@ -80,19 +77,11 @@ describe('Config migration readOnlyConfig', () => {
 
     before(async () => {
       scaffold = await createScaffold({ readOnlyConfig: true })
-      tmpDir = scaffold.rootDir
-      const collector = createLogCollector()
-      logs = collector.logs
-      await runMigrations({
-        dependencies: { 'test-dep': { rootDir: scaffold.depDir } },
-        configFilePath: scaffold.configFilePath,
-        rootDir: scaffold.rootDir,
-        log: collector.log
-      })
+      logs = await runMigrations(scaffold)
     })
 
     it('should not modify the config file', async () => {
-      const config = (await import(pathToFileURL(scaffold.configFilePath).href + `?t=${Date.now()}`)).default
+      const config = await scaffold.readConfig()
       assert.equal(config['test-module'].oldKey, 'value', 'oldKey should still be present')
       assert.equal(config['test-module'].newKey, undefined, 'newKey should not exist')
     })
@@ -123,20 +112,11 @@ describe('Config migration readOnlyConfig', () => {
 
     before(async () => {
       scaffold = await createScaffold()
-      tmpDir = scaffold.rootDir
-      const collector = createLogCollector()
-      logs = collector.logs
-      await runMigrations({
-        dependencies: { 'test-dep': { rootDir: scaffold.depDir } },
-        configFilePath: scaffold.configFilePath,
-        rootDir: scaffold.rootDir,
-        log: collector.log,
-        dryRun: true
-      })
+      logs = await runMigrations(scaffold, { dryRun: true })
     })
 
     it('should not modify the config file', async () => {
-      const config = (await import(pathToFileURL(scaffold.configFilePath).href + `?t=${Date.now()}`)).default
+      const config = await scaffold.readConfig()
       assert.equal(config['test-module'].oldKey, 'value', 'oldKey should still be present')
     })
 
@@ -159,19 +139,11 @@ describe('Config migration readOnlyConfig', () => {
 
     before(async () => {
       scaffold = await createScaffold()
-      tmpDir = scaffold.rootDir
-      const collector = createLogCollector()
-      logs = collector.logs
-      await runMigrations({
-        dependencies: { 'test-dep': { rootDir: scaffold.depDir } },
-        configFilePath: scaffold.configFilePath,
-        rootDir: scaffold.rootDir,
-        log: collector.log
-      })
+      logs = await runMigrations(scaffold)
     })
 
     it('should update the config file', async () => {
-      const config = (await import(pathToFileURL(scaffold.configFilePath).href + `?t=${Date.now()}`)).default
+      const config = await scaffold.readConfig()
       assert.equal(config['test-module'].newKey, 'value', 'newKey should be present')
       assert.equal(config['test-module'].oldKey, undefined, 'oldKey should be removed')
     })
@@ -0,0 +1,200 @@
+// @tags slow
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { getApp, getModule } from '../lib/app.js'
+import { uniqueId } from '../lib/factories.js'
+import { clearMigrationRecords, createMigrationScaffold, getMigrationRecords, runScaffoldMigrations } from '../lib/migrations.js'
+
+let mongodb
+let connectionUri
+const scaffolds = []
+const modules = []
+const titles = []
+
+/**
+ * Returns a content migration which appends its version to the `migrated` array of the
+ * course with the given title, optionally throwing instead.
+ * @param {string} title - Title of the seeded course
+ * @param {string} version
+ * @param {Object} [options]
+ * @param {boolean} [options.fail] - Whether the migration should throw
+ * @returns {Object} A migration definition
+ */
+function recordVersion (title, version, { fail = false } = {}) {
+  return {
+    version,
+    type: 'content',
+    migrate: `function (m) {
+  m.describe('record ${version}')
+  m.where({ _type: 'course', title: ${JSON.stringify(title)} }).mutate(doc => {
+    ${fail ? `throw new Error('migration ${version} failed')` : ''}
+    doc.migrated = [...(doc.migrated ?? []), '${version}']
+  })
+}`
+  }
+}
+
+/**
+ * Seeds a course and creates a scaffold for a new module with the given migrations.
+ * @param {Function} getMigrations - Called with the course title, returns the migration definitions
+ * @param {Object} [options] - Passed to createMigrationScaffold()
+ * @returns {Promise<{ scaffold: Object, moduleName: string, title: string }>}
+ */
+async function setup (getMigrations, options = {}) {
+  const id = uniqueId()
+  const moduleName = `test-dep-${id}`
+  const title = `Migration harness ${id}`
+  modules.push(moduleName)
+  titles.push(title)
+  await mongodb.insert('content', { _type: 'course', title, migrated: [] })
+  const scaffold = await createMigrationScaffold({ connectionUri, dependencies: { [moduleName]: getMigrations(title) }, ...options })
+  scaffolds.push(scaffold)
+  return { scaffold, moduleName, title }
+}
+
+/**
+ * Returns the versions recorded by the migrations on the seeded course.
+ * @param {string} title
+ * @returns {Promise<string[]>}
+ */
+async function getMigrated (title) {
+  const [course] = await mongodb.find('content', { _type: 'course', title })
+  return course.migrated
+}
+
+describe('Content migrations', () => {
+  before(async () => {
+    await getApp()
+    mongodb = await getModule('mongodb')
+    connectionUri = mongodb.getConfig('connectionUri')
+  })
+
+  after(async () => {
+    for (const scaffold of scaffolds) await scaffold.cleanup()
+    await clearMigrationRecords(modules)
+    await mongodb.getCollection('content').deleteMany({ title: { $in: titles } })
+  })
+
+  describe('Version ordering', () => {
+    let ctx
+    let result
+
+    before(async () => {
+      ctx = await setup(title => ['1.10.0', '1.2.0', '1.0.0'].map(v => recordVersion(title, v)))
+      result = await runScaffoldMigrations(ctx.scaffold)
+    })
+
+    it('should run without errors', () => {
+      assert.equal(result.error, undefined)
+    })
+
+    it('should run migrations in semver order', async () => {
+      assert.deepEqual(await getMigrated(ctx.title), ['1.0.0', '1.2.0', '1.10.0'])
+    })
+
+    it('should record each migration as completed, in order', async () => {
+      const records = await getMigrationRecords(ctx.moduleName)
+      assert.deepEqual(records.map(r => [r.version, r.type]), [['1.0.0', 'content'], ['1.2.0', 'content'], ['1.10.0', 'content']])
+      for (const r of records) assert.ok(r.completedAt, `${r.version} should have a completedAt timestamp`)
+    })
+
+    it('should not run completed migrations again', async () => {
+      const before = await getMigrationRecords(ctx.moduleName)
+      const rerun = await runScaffoldMigrations(ctx.scaffold)
+      assert.equal(rerun.error, undefined)
+      assert.deepEqual(await getMigrated(ctx.title), ['1.0.0', '1.2.0', '1.10.0'], 'content should be unchanged')
+      assert.deepEqual(await getMigrationRecords(ctx.moduleName), before, 'records should be unchanged')
+    })
+  })
+
+  describe('Failure mid-sequence', () => {
+    let ctx
+    let result
+
+    before(async () => {
+      ctx = await setup(title => [
+        recordVersion(title, '1.0.0'),
+        recordVersion(title, '1.1.0', { fail: true }),
+        recordVersion(title, '1.2.0')
+      ])
+      result = await runScaffoldMigrations(ctx.scaffold)
+    })
+
+    it('should report the failure', () => {
+      const logged = result.logs.some(l => l.level === 'error' && /1\.1\.0/.test(`${l.msg}`))
+      assert.ok(result.error || logged, 'should throw or log an error naming the failed migration')
+    })
+
+    it('should keep the changes from earlier migrations only', async () => {
+      assert.deepEqual(await getMigrated(ctx.title), ['1.0.0'])
+    })
+
+    it('should only record the migrations which completed', async () => {
+      const records = await getMigrationRecords(ctx.moduleName)
+      assert.deepEqual(records.map(r => r.version), ['1.0.0'])
+    })
+  })
+
+  describe('dryRun: true', () => {
+    let ctx
+    let result
+
+    before(async () => {
+      ctx = await setup(title => [recordVersion(title, '1.0.0'), recordVersion(title, '1.1.0')])
+      result = await runScaffoldMigrations(ctx.scaffold, { dryRun: true })
+    })
+
+    it('should run without errors', () => {
+      assert.equal(result.error, undefined)
+    })
+
+    it('should not modify the content', async () => {
+      assert.deepEqual(await getMigrated(ctx.title), [])
+    })
+
+    it('should not record any migrations', async () => {
+      assert.deepEqual(await getMigrationRecords(ctx.moduleName), [])
+    })
+
+    it('should log what would have changed', () => {
+      assert.ok(result.logs.some(l => /would/i.test(`${l.msg}`)), 'should have logged a would-update message')
+    })
+  })
+
+  describe('Config and content migrations together', () => {
+    let ctx
+    let result
+
+    before(async () => {
+      ctx = await setup(title => [
+        recordVersion(title, '1.0.0'),
+        {
+          version: '1.0.0',
+          type: 'config',
+          migrate: function (m) {
+            m.describe('set migrated flag')
+            m.where('test-module').mutate(config => {
+              config['test-module'].migrated = true
+            })
+          }
+        }
+      ], { config: { 'test-module': { migrated: false } } })
+      result = await runScaffoldMigrations(ctx.scaffold)
+    })
+
+    it('should run without errors', () => {
+      assert.equal(result.error, undefined)
+    })
+
+    it('should apply both migrations', async () => {
+      assert.deepEqual(await getMigrated(ctx.title), ['1.0.0'])
+      assert.equal((await ctx.scaffold.readConfig())['test-module'].migrated, true)
+    })
+
+    it('should record both migrations by type', async () => {
+      const records = await getMigrationRecords(ctx.moduleName)
+      assert.deepEqual(records.map(r => `${r.version}-${r.type}`).sort(), ['1.0.0-conf', '1.0.0-content'])
+    })
+  })
+})
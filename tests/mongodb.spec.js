@@ -1,6 +1,8 @@
+// @tags smoke
+
 import { describe, it, before, after } from 'node:test'
 import assert from 'node:assert/strict'
-import { getApp, getModule } from '../lib/app.js'
+import { BOOT_SNAPSHOT, getApp, getModule, restoreDb, snapshotDb } from '../lib/app.js'
 
 const COLLECTION = 'integrationtest'
 
@@ -107,4 +109,33 @@ describe('MongoDB core operations', () => {
       assert.ok(count > 0, 'collection should contain documents from previous tests')
     })
   })
+
+  describe('Snapshots', () => {
+    it('should restore a collection to exactly the snapshotted documents', async () => {
+      const before = await mongodb.find(COLLECTION, {})
+      await snapshotDb('mongodb-spec', [COLLECTION])
+      await mongodb.insert(COLLECTION, { name: 'Added after snapshot' })
+      await mongodb.getCollection(COLLECTION).deleteOne({ _id: before[0]._id })
+      await mongodb.update(COLLECTION, { _id: before[1]._id }, { $set: { score: -1 } })
+
+      await restoreDb('mongodb-spec')
+      const after = await mongodb.find(COLLECTION, {})
+      const byId = docs => docs.map(d => ({ ...d, _id: d._id.toString() })).sort((a, b) => a._id.localeCompare(b._id))
+      assert.deepEqual(byId(after), byId(before))
+    })
+
+    it('should restore the post-boot roles from the boot snapshot', async () => {
+      const roles = mongodb.getCollection('roles')
+      const count = await roles.countDocuments({})
+      assert.ok(count > 0, 'roles should be created at boot')
+      await roles.deleteMany({})
+      // only the roles: restoring contentplugins would leave records that don't match the framework on disk
+      await restoreDb(BOOT_SNAPSHOT, ['roles'])
+      assert.equal(await roles.countDocuments({}), count)
+    })
+
+    it('should reject collections the snapshot doesn\'t include', async () => {
+      await assert.rejects(() => restoreDb(BOOT_SNAPSHOT, [COLLECTION]), new RegExp(`doesn't include ${COLLECTION}`))
+    })
+  })
 })
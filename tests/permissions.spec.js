@@ -0,0 +1,120 @@
+// @tags slow
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import { getApp, getModule, cleanDb } from '../lib/app.js'
+import { createUser } from '../lib/factories.js'
+import { HttpClient, getBaseUrl } from '../lib/http.js'
+import { MATRIX_ROLES, formatMatrix, getExpectedAccess, isExpectedStatus, isUnsafeRoute, resolveRoutePath } from '../lib/permissions.js'
+import { getAllRoutes } from 'adapt-authoring-server'
+
+const PRINCIPALS = ['anonymous', ...MATRIX_ROLES]
+
+let auth
+let rows
+
+/**
+ * Returns the scopes declared for a route with auth.secureRoute(), if any.
+ * @param {string} method - Lower-case HTTP method
+ * @param {string} routePath - Request path
+ * @returns {string[]|undefined}
+ */
+function getRouteScopes (method, routePath) {
+  const entry = auth.permissions.routes[method]?.find(([re]) => (re.regexp ?? re).test(routePath))
+  return entry?.[1]
+}
+
+/**
+ * Returns the rows with a result matching the predicate, formatted for an assertion message.
+ * @param {Function} predicate - Called with each result
+ * @returns {string[]}
+ */
+function findResults (predicate) {
+  return rows.flatMap(row => PRINCIPALS
+    .filter(p => row.results[p] && predicate(row.results[p], row))
+    .map(p => `${row.method.toUpperCase()} ${row.path} as ${p}: got ${row.results[p].status}, expected ${row.results[p].expected}`))
+}
+
+describe('Route permission matrix', () => {
+  before(async () => {
+    await getApp()
+    auth = await getModule('auth')
+    const roles = await getModule('roles')
+    const server = await getModule('server')
+    const baseUrl = await getBaseUrl()
+
+    const principals = { anonymous: { client: new HttpClient({ baseUrl }) } }
+    for (const role of MATRIX_ROLES) {
+      const user = await createUser({ firstName: 'Matrix', lastName: role }, { roles: role })
+      const [roleId] = await roles.shortNamesToIds([role])
+      principals[role] = {
+        user,
+        client: new HttpClient({ baseUrl }),
+        isSuper: role === 'superuser',
+        scopes: await roles.getScopesForRole(roleId)
+      }
+    }
+    rows = []
+    for (const [routePath, methods] of getAllRoutes(server.api)) {
+      const resolvedPath = resolveRoutePath(routePath)
+      for (const m of methods) {
+        const method = m.toLowerCase()
+        const route = {
+          unsecured: !!auth.unsecuredRoutes[method]?.[routePath],
+          scopes: getRouteScopes(method, resolvedPath)
+        }
+        const row = { method, path: routePath, ...route, results: {} }
+        for (const name of PRINCIPALS) {
+          const { client, user, ...principal } = principals[name]
+          const expected = getExpectedAccess(route, user && principal)
+          if (expected === 'allowed' && isUnsafeRoute(method, routePath)) {
+            row.results[name] = { expected, skipped: true, ok: true }
+            continue
+          }
+          // a fresh token for every request, so routes which revoke tokens (e.g. logout) don't affect later requests
+          if (user) await client.useToken(user)
+          const body = ['post', 'put', 'patch'].includes(method) ? {} : undefined
+          const { status } = await client.request(method.toUpperCase(), resolvedPath, { body })
+          row.results[name] = { expected, status, ok: isExpectedStatus(expected, status) }
+        }
+        rows.push(row)
+      }
+    }
+    if (process.env.PERMISSION_MATRIX_FILE) {
+      await fs.writeFile(process.env.PERMISSION_MATRIX_FILE, formatMatrix(rows, PRINCIPALS) + '\n')
+    }
+  })
+
+  after(async () => {
+    await cleanDb(['users', 'authtokens'])
+  })
+
+  it('should have checked at least one route', () => {
+    assert.ok(rows.length > 0, 'route map should not be empty')
+  })
+
+  it('should declare permission scopes for every secured route', () => {
+    const undeclared = rows.filter(r => !r.unsecured && !r.scopes).map(r => `${r.method.toUpperCase()} ${r.path}`)
+    assert.deepEqual(undeclared, [], `Secured routes with no permission scopes:\n${undeclared.join('\n')}`)
+  })
+
+  it('should reject anonymous requests to secured routes with 401', () => {
+    const failures = findResults((r) => r.expected === 'unauthenticated' && !r.ok)
+    assert.deepEqual(failures, [], `Unexpected responses:\n${failures.join('\n')}`)
+  })
+
+  it('should allow unsecured routes and users with the required scopes', () => {
+    const failures = findResults((r) => r.expected === 'allowed' && !r.ok)
+    assert.deepEqual(failures, [], `Unexpected responses:\n${failures.join('\n')}`)
+  })
+
+  it('should reject users without the required scopes with 403', () => {
+    const failures = findResults((r) => r.expected === 'forbidden' && !r.ok)
+    assert.deepEqual(failures, [], `Unexpected responses:\n${failures.join('\n')}`)
+  })
+
+  it('should report the permission matrix', (t) => {
+    t.diagnostic(`\n${formatMatrix(rows, PRINCIPALS)}`)
+  })
+})
@@ -1,3 +1,5 @@
+// @tags smoke
+
 import { describe, it, before, after } from 'node:test'
 import assert from 'node:assert/strict'
 import { getApp, getModule } from '../lib/app.js'
@@ -0,0 +1,258 @@
+// @tags slow
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { assertRejectsWithCode } from '../lib/assert.js'
+import { getApp, getModule, cleanDb } from '../lib/app.js'
+import { createCourseExport, TINY_PNG } from '../lib/courseexport.js'
+import { createAsset, createCourse, createTag, createUser, uniqueId } from '../lib/factories.js'
+import { createClient } from '../lib/http.js'
+import { createPng } from '../lib/media.js'
+
+let tags
+let content
+let assets
+let framework
+let client
+
+/**
+ * Returns the _ids of the tags on a document, as strings.
+ * @param {Object} doc
+ * @returns {string[]}
+ */
+function tagIdsOf (doc) {
+  return (doc.tags ?? []).map(t => t.toString())
+}
+
+/**
+ * Reloads a course and an asset, and returns the tag _ids on each.
+ * @param {Object} course
+ * @param {Object} asset
+ * @returns {Promise<{ course: string[], asset: string[] }>}
+ */
+async function getTagIds (course, asset) {
+  const [reloadedCourse] = await content.find({ _id: course._id })
+  const [reloadedAsset] = await assets.find({ _id: asset._id })
+  return { course: tagIdsOf(reloadedCourse), asset: tagIdsOf(reloadedAsset) }
+}
+
+/**
+ * Applies tags to a course and an asset.
+ * @param {Object} course
+ * @param {Object} asset
+ * @param {Object[]} tagDocs
+ * @returns {Promise<void>}
+ */
+async function applyTags (course, asset, tagDocs) {
+  const ids = tagDocs.map(t => t._id.toString())
+  await content.update({ _id: course._id }, { tags: ids })
+  await assets.update({ _id: asset._id }, { tags: ids })
+}
+
+/**
+ * Returns the assets a course uses, from its courseassets records.
+ * @param {string} courseId
+ * @returns {Promise<Object[]>}
+ */
+async function getCourseAssets (courseId) {
+  const courseassets = await getModule('courseassets')
+  const assetIds = [...new Set((await courseassets.find({ courseId })).map(r => r.assetId.toString()))]
+  return Promise.all(assetIds.map(_id => assets.findOne({ _id })))
+}
+
+describe('Tags', () => {
+  before(async () => {
+    await getApp()
+    tags = await getModule('tags')
+    content = await getModule('content')
+    assets = await getModule('assets')
+    framework = await getModule('adaptframework')
+    client = await createClient({ user: await createUser() })
+  })
+
+  after(async () => {
+    await cleanDb()
+    await cleanDb(['users', 'authtokens'])
+  })
+
+  describe('CRUD', () => {
+    let tag
+
+    it('should create a tag', async () => {
+      const title = `crud-${uniqueId()}`
+      tag = await createTag({ title }, { validate: true })
+      assert.equal(tag.title, title)
+      assert.ok(tag._id, 'the tag should have an _id')
+    })
+
+    it('should reject a tag without a title', async () => {
+      await assertRejectsWithCode(() => tags.insert({}), 'VALIDATION_FAILED')
+    })
+
+    it('should find a tag by title', async () => {
+      const found = await tags.find({ title: tag.title })
+      assert.deepEqual(found.map(t => t._id.toString()), [tag._id.toString()])
+    })
+
+    it('should list tags through the API', async () => {
+      const res = await client.get('/api/tags')
+      assert.equal(res.status, 200)
+      assert.ok(res.body.some(t => t._id === tag._id.toString()), 'the tag should be listed')
+    })
+
+    it('should update a tag', async () => {
+      const title = `updated-${uniqueId()}`
+      const updated = await tags.update({ _id: tag._id }, { title })
+      assert.equal(updated.title, title)
+    })
+
+    it('should delete a tag', async () => {
+      await tags.delete({ _id: tag._id })
+      assert.deepEqual(await tags.find({ _id: tag._id }), [])
+    })
+  })
+
+  describe('Tagging courses and assets', () => {
+    let course
+    let asset
+    let first
+    let second
+
+    before(async () => {
+      course = await createCourse()
+      asset = await createAsset()
+      first = await createTag({ title: `first-${uniqueId()}` })
+      second = await createTag({ title: `second-${uniqueId()}` })
+    })
+
+    it('should apply tags to a course and an asset', async () => {
+      await applyTags(course, asset, [first, second])
+      const ids = await getTagIds(course, asset)
+      const expected = [first, second].map(t => t._id.toString())
+      assert.deepEqual(ids.course, expected)
+      assert.deepEqual(ids.asset, expected)
+    })
+
+    it('should keep the references when a tag is renamed', async () => {
+      const title = `renamed-${uniqueId()}`
+      await tags.update({ _id: first._id }, { title })
+      const ids = await getTagIds(course, asset)
+      assert.ok(ids.course.includes(first._id.toString()), 'the course should keep the renamed tag')
+      assert.ok(ids.asset.includes(first._id.toString()), 'the asset should keep the renamed tag')
+      assert.equal((await tags.findOne({ _id: first._id })).title, title)
+    })
+
+    it('should remove references to a tag when it is deleted', async () => {
+      await tags.delete({ _id: second._id })
+      const ids = await getTagIds(course, asset)
+      assert.deepEqual(ids.course, [first._id.toString()], 'the course should no longer reference the deleted tag')
+      assert.deepEqual(ids.asset, [first._id.toString()], 'the asset should no longer reference the deleted tag')
+    })
+  })
+
+  describe('Merging tags', () => {
+    let course
+    let asset
+    let source
+    let target
+
+    before(async () => {
+      course = await createCourse()
+      asset = await createAsset()
+      source = await createTag({ title: `source-${uniqueId()}` })
+      target = await createTag({ title: `target-${uniqueId()}` })
+      await content.update({ _id: course._id }, { tags: [source._id.toString()] })
+      await assets.update({ _id: asset._id }, { tags: [source._id.toString(), target._id.toString()] })
+    })
+
+    it('should transfer tagged items from one tag to another', async () => {
+      const res = await client.post(`/api/tags/transfer/${source._id}`, { destId: target._id.toString() })
+      assert.ok(res.ok, `transfer should succeed, got ${res.status}`)
+      const ids = await getTagIds(course, asset)
+      assert.deepEqual(ids.course, [target._id.toString()], 'the course should move to the target tag')
+      assert.deepEqual(ids.asset, [target._id.toString()], 'the asset should carry the target tag once')
+    })
+
+    it('should keep the source tag, with nothing tagged with it', async () => {
+      const kept = await tags.findOne({ _id: source._id }, { strict: false })
+      assert.ok(kept, 'transferring should not delete the source tag')
+      assert.equal(kept.title, source.title)
+      const sourceId = source._id.toString()
+      const tagged = [...await content.find({ _type: 'course' }), ...await assets.find({})]
+      assert.deepEqual(tagged.filter(doc => tagIdsOf(doc).includes(sourceId)).map(doc => doc._id.toString()), [])
+    })
+
+    it('should complete the merge when the emptied source tag is deleted', async () => {
+      await tags.delete({ _id: source._id })
+      assert.deepEqual(await tags.find({ _id: source._id }), [])
+      const ids = await getTagIds(course, asset)
+      assert.deepEqual(ids.course, [target._id.toString()], 'the course should keep the target tag')
+      assert.deepEqual(ids.asset, [target._id.toString()], 'the asset should keep the target tag')
+    })
+  })
+
+  describe('Tagging on import', () => {
+    let importTag
+    let courseId
+    let tmpRoot
+    const assetTagTitle = `asset-tag-${uniqueId()}`
+
+    before(async () => {
+      importTag = await createTag({ title: `import-${uniqueId()}` })
+      tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'aat-tags-'))
+      const importPath = await createCourseExport({
+        title: 'Tagged Course',
+        contentObjects: [{
+          articles: [{
+            blocks: [{
+              components: [
+                { body: '<img src="course/en/assets/tiny.png">' },
+                { body: '<img src="course/en/assets/square.png">' }
+              ]
+            }]
+          }]
+        }],
+        assets: { 'tiny.png': TINY_PNG, 'square.png': createPng({ width: 8, height: 8, color: [1, 2, 3] }) },
+        assetData: { 'tiny.png': { title: 'Tiny' }, 'square.png': { title: 'Square', tags: [assetTagTitle] } }
+      }, { dir: tmpRoot, zip: true })
+      const importer = await framework.importCourse({
+        importPath,
+        userId: '000000000000000000000000',
+        tags: [importTag._id.toString()],
+        importContent: true,
+        importPlugins: true,
+        migrateContent: true,
+        updatePlugins: false,
+        removeSource: false
+      })
+      courseId = importer.summary.courseId.toString()
+    })
+
+    after(async () => {
+      await fs.rm(tmpRoot, { recursive: true, force: true })
+    })
+
+    it('should tag the imported course', async () => {
+      const [course] = await content.find({ _id: courseId })
+      assert.ok(tagIdsOf(course).includes(importTag._id.toString()), 'the course should carry the import tag')
+    })
+
+    it('should tag the imported assets', async () => {
+      const imported = await getCourseAssets(courseId)
+      assert.deepEqual(imported.map(a => a.title).sort(), ['Square', 'Tiny'], 'both assets should be imported')
+      for (const asset of imported) {
+        assert.ok(tagIdsOf(asset).includes(importTag._id.toString()), `asset "${asset.title}" should carry the import tag`)
+      }
+    })
+
+    it('should create and apply tags named in assets.json', async () => {
+      const [assetTag] = await tags.find({ title: assetTagTitle })
+      assert.ok(assetTag, 'the tag should be created')
+      const square = (await getCourseAssets(courseId)).find(a => a.title === 'Square')
+      assert.ok(tagIdsOf(square).includes(assetTag._id.toString()), 'the asset should carry its own tag')
+    })
+  })
+})
@@ -1,5 +1,8 @@
+// @tags smoke
+
 import { describe, it, before, after } from 'node:test'
 import assert from 'node:assert/strict'
+import { assertRejectsWithCode } from '../lib/assert.js'
 import { getApp, getModule, cleanDb } from '../lib/app.js'
 
 let users
@@ -28,18 +31,7 @@ describe('Users module', () => {
         },
         auth: {}
       }
-      await assert.rejects(
-        () => users.onRequest(req),
-        (err) => {
-          const code = err.code || err.id
-          assert.ok(
-            code === 'UNAUTHENTICATED' || code === 'UNAUTHORIZED' ||
-            err.message?.includes('UNAUTHENTICATED') || err.message?.includes('UNAUTHORIZED'),
-            `expected UNAUTHENTICATED/UNAUTHORIZED error, got: ${err.code || err.id || err.message}`
-          )
-          return true
-        }
-      )
+      await assertRejectsWithCode(() => users.onRequest(req), ['UNAUTHENTICATED', 'UNAUTHORIZED'])
     })
   })
 
@@ -89,22 +81,12 @@ describe('Users module', () => {
 
   describe('Duplicate email', () => {
     it('should reject a second user with the same email', async () => {
-      await assert.rejects(
-        () => authLocal.register({
-          email: 'create-test@example.com',
-          firstName: 'Duplicate',
-          lastName: 'User',
-          password: 'Password123!'
-        }),
-        (err) => {
-          const isDuplError = err.code === 'DUPL_USER' ||
-            err.code === 'MONGO_DUPL_INDEX' ||
-            /dupl/i.test(err.message) ||
-            /E11000/i.test(err.message)
-          assert.ok(isDuplError, `expected a duplicate error, got: ${err.code || err.message}`)
-          return true
-        }
-      )
+      await assertRejectsWithCode(() => authLocal.register({
+        email: 'create-test@example.com',
+        firstName: 'Duplicate',
+        lastName: 'User',
+        password: 'Password123!'
+      }), ['DUPL_USER', 'MONGO_DUPL_INDEX', 'E11000'])
     })
   })
 